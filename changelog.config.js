@@ -10,11 +10,25 @@ module.exports = {
       // Root host of your JIRA installation without protocol.
       // (i.e 'yourapp.atlassian.net')
       host: undefined,
+      // How to authenticate with Jira:
+      //  'basic' - The email and API token of a Jira Cloud user
+      //  'bearer' - A Personal Access Token (`token`), for Jira Server / Data Center
+      //  'oauth' - OAuth 1.0a, with the `oauth` settings
+      auth: 'basic',
       // Email address of the user to login with
       email: undefined,
       // Auth token of the user to login with
       // https://confluence.atlassian.com/cloud/api-tokens-938839638.html
       token: undefined,
+      // OAuth consumer settings, when `auth` is 'oauth'
+      // https://developer.atlassian.com/server/jira/platform/oauth/
+      oauth: {
+        consumerKey: undefined,
+        // The private key (PEM) which matches the public key of the application link
+        privateKey: undefined,
+        accessToken: undefined,
+        accessTokenSecret: undefined,
+      },
       // If you need to set some jira-client option use this object. 
       // Check jira-client docs for available options: https://jira-node.github.io/typedef/index.html#static-typedef-JiraApiOptions
       options: {},
@@ -24,10 +38,54 @@ module.exports = {
     // Set to the base URL for your Jira account
     baseUrl: 'https://atlassian.net',
 
+    // Local cache of Jira tickets, stored on disk.
+    cache: {
+      // Serve tickets from the cache, when they have been cached.
+      // The cache is always used in offline mode (`--offline`)
+      enabled: false,
+      // Directory to store the cached tickets in, relative to the current directory.
+      dir: '.jira-changelog-cache',
+      // Number of seconds a cached ticket is valid for (ignored in offline mode, `0` to never expire).
+      ttl: 60 * 60 * 24,
+    },
+
+    // Limits for the Jira API requests (the default is used for each limit you don't set)
+    rateLimit: {
+      // Maximum number of requests per second
+      requestsPerSecond: 10,
+      // Number of times to retry requests which are rate limited (429) or fail with a server error (5xx)
+      retries: 3,
+      // Milliseconds to wait before the first retry, doubled for each retry after that.
+      // The `Retry-After` response header is used instead, when it's set.
+      retryDelay: 1000,
+    },
+
+    // Only load tickets from the local cache, without calling the Jira API.
+    // Can also be enabled with the `--offline` flag.
+    offline: false,
+
     // Regex used to match the issue ticket key
     // Use capture group one to isolate the key text within surrounding characters (if needed).
+    // This can also be a list of regexes.
     ticketIDPattern: /\[([A-Z]+\-[0-9]+)\]/i,
 
+    // Only match ticket keys of these Jira projects (i.e. ['ENG', 'OPS']).
+    // This prevents strings like 'UTF-8' from being looked up in Jira.
+    // If empty, keys of any project are matched.
+    projectKeys: [],
+
+    // Regex used to match the issue ticket key in branch names (i.e. 'feature/ABC-123-login').
+    // The branch names are found in merge commit messages and the refs pointing to each commit.
+    // Disabled by default, so only the commit messages are searched (i.e. /([A-Z][A-Z0-9]+-[0-9]+)/).
+    branchTicketIDPattern: null,
+
+    // The ticket fields loaded from Jira, when loading tickets in batches (all fields, when not set).
+    // To load less data, list the fields your templates use (i.e. ['summary', 'assignee']).
+    // The fields the changelog itself needs (like `issuetype` and `status`) and `epicLinkField`
+    // are added automatically.
+    // These partial tickets are not written to the ticket cache.
+    fields: null,
+
     // Status names that mean the ticket is approved.
     approvalStatus: ['Done', 'Closed', 'Accepted'],
 
@@ -38,6 +96,46 @@ module.exports = {
     // If this is defined, `excludeIssueTypes` is ignored.
     includeIssueTypes: [],
 
+    // Replace sub-tasks with their parent ticket in the changelog.
+    // The parent ticket is loaded from Jira, if it's not in the commit range.
+    // With `--release`, the parent ticket is then added to the release version (and commented on and transitioned).
+    rollUpSubtasks: false,
+
+    // The custom field ID which links a ticket to its epic, in classic Jira projects.
+    // (i.e. 'customfield_10014')
+    // In next-gen projects, the epic is the ticket's parent and this can be left undefined.
+    epicLinkField: undefined,
+
+    // Transition tickets to a new workflow status, when using `--release`.
+    // Maps the current status name of a ticket to the name of the transition to run.
+    // (i.e. { 'Done': 'Release' })
+    transitionOnRelease: {},
+
+    // Comment to add to each ticket, when using `--release`, as an ejs template.
+    // The template receives the `ticket`, its `commits` and the release `version` name.
+    // Tickets which already have an identical comment are skipped.
+    // (i.e. "Shipped in <%= version %> (commits <%= commits.map(c => c.revision.substr(0, 7)).join(', ') %>)")
+    commentOnRelease: undefined,
+
+    // Update the release version, when using `--release`.
+    release: {
+      // Set the release date of the version to today.
+      setReleaseDate: false,
+
+      // Set the version description from the changelog.
+      // Set to `true` to use the rendered changelog, or to a function which
+      // returns the description (or a Promise).
+      //  content - The changelog content which was output by the command
+      //  data - The data which generated the changelog content.
+      description: false,
+
+      // Mark the version as released.
+      markReleased: false,
+
+      // Archive the previously released versions of the project.
+      archivePrevious: false,
+    },
+
     // Get the release version name to use when using `--release` without a value.
     // Returns a Promise
     generateReleaseVersionName: function() {
@@ -52,6 +150,11 @@ module.exports = {
     // API key string
     apiKey: undefined,
 
+    // Incoming webhook URL, used to post the changelog when there is no `apiKey`.
+    // Slack users cannot be looked up without an API key.
+    // https://api.slack.com/messaging/webhooks
+    webhookUrl: undefined,
+
     // The channel that the changelog will be posted in, when you use the `--slack` flag.
     // This can be a channel string ('#mychannel`) or a channel ID.
     channel: undefined,
@@ -65,7 +168,79 @@ module.exports = {
 
     // URL to an image to use as the icon for the bot.
     // Cannot be used at the same time as `icon_emoji`
-    icon_url: undefined
+    icon_url: undefined,
+
+    // Post the changelog as a Block Kit message, generated from the changelog data,
+    // instead of the text output of the template.
+    blocks: false,
+
+    // Post a short summary message and put the changelog in its thread.
+    // Requires an `apiKey`.
+    threaded: false,
+
+    // The direct message sent to the reporters of pending tickets, with `--notify-pending`, as an ejs template.
+    // It receives the `owner` (from `tickets.pendingByOwner`) and `jira` data.
+    pendingTemplate:
+`Hi <%= owner.name || owner.email %>! These tickets are in the changelog<%= (jira.releaseVersions && jira.releaseVersions.length) ? ' for ' + jira.releaseVersions[0].name : '' %>, but are still awaiting approval:
+<% owner.tickets.forEach((ticket) => { -%>
+  * <%- ticket.fields.summary %> <%= jira.baseUrl + '/browse/' + ticket.key %>
+<% }); -%>`,
+
+    // Edit the messages posted for the same release in a previous run, instead of posting
+    // new ones (i.e. when rerunning the changelog after a hotfix).
+    // Requires an `apiKey` and a release version. Can also be enabled with `--slack-update`.
+    updateExisting: false,
+
+    // The summary message for threaded posts, as an ejs template.
+    // It receives the same data as the changelog template.
+    summaryTemplate:
+      "*<%= (jira.releaseVersions && jira.releaseVersions.length) ? 'Release ' + jira.releaseVersions[0].name : 'Changelog' %>*: " +
+      "<%= tickets.all.length %> Jira tickets, <%= commits.noTickets.length %> other commits, " +
+      "<%= tickets.pending.length %> pending approval",
+  },
+
+  // Microsoft Teams integration, used with `--notify teams`
+  teams: {
+
+    // Incoming webhook URL of the channel to post the changelog in.
+    // https://docs.microsoft.com/microsoftteams/platform/webhooks-and-connectors/how-to/add-incoming-webhook
+    webhookUrl: undefined,
+  },
+
+  // Mattermost integration, used with `--notify mattermost`
+  mattermost: {
+
+    // Incoming webhook URL
+    // https://docs.mattermost.com/developer/webhooks-incoming.html
+    webhookUrl: undefined,
+
+    // The channel to post the changelog in, instead of the webhook's default channel.
+    channel: undefined,
+
+    // The name to give the bot user, when posting the changelog
+    username: "Changelog Bot",
+
+    // URL to an image to use as the icon for the bot.
+    icon_url: undefined,
+  },
+
+  // Pull requests (GitHub) and merge requests (GitLab), which are linked to commits
+  // by the default merge commit messages.
+  // Configure the provider and repository to load their title, author and URL from the API.
+  pullRequests: {
+
+    // 'github' or 'gitlab'
+    provider: undefined,
+
+    // The repository path: 'owner/repo' on GitHub, or the project path/ID on GitLab ('group/project')
+    repository: undefined,
+
+    // API token, to access private repositories
+    token: undefined,
+
+    // API root URL, for GitHub Enterprise or self-hosted GitLab.
+    // (i.e. 'https://github.example.com/api/v3' or 'https://gitlab.example.com/api/v4')
+    apiUrl: undefined,
   },
 
   // Github settings
@@ -82,9 +257,34 @@ module.exports = {
       // non-symmetric='..'
       // https://matthew-brett.github.io/pydagogue/git_diff_dots.html
       symmetric: false,
-    }
+    },
+
+    // Only include commits which changed files matching these path globs (i.e. ['services/api/**']).
+    // The `--path` option overrides this.
+    paths: [],
+
+    // Glob pattern of the tags used by `--since-last-tag` (i.e. 'v*').
+    // If undefined, any tag is used.
+    tagPattern: undefined,
+
+    // Create a git tag named after the release version, when using `--release`.
+    // Can also be enabled with the `--tag` flag.
+    createReleaseTag: false,
+  },
+
+  // Group the commits without tickets by their Conventional Commit type (https://www.conventionalcommits.org),
+  // in `commits.byType`. Maps each type to the title of its group.
+  // Other types are grouped as "Chores", and commits that aren't Conventional Commits as "Other Commits".
+  commitTypes: {
+    feat: 'Features',
+    fix: 'Fixes',
   },
 
+  // The packages of a monorepo, used with `--monorepo`.
+  // Maps each package name to the path glob, or list of globs, of its files.
+  // (i.e. { api: 'services/api', web: ['apps/web', 'libs/ui/**'] })
+  packages: {},
+
   // Possible to hide "~ None ~" blocks in template if set to true
   hideEmptyBlocks: false,
 
@@ -121,15 +321,27 @@ Jira Tickets
 <% }); -%>
 <% if (!blockTickets.length) {%> ~ None ~ <% } %>
 <% } -%>
-<% blockNoTickets = commits.noTickets; -%>
-<% if (blockNoTickets.length > 0 || !options.hideEmptyBlocks) { -%>
+<% if (commits.breaking.length) { -%>
 
-Other Commits
+Breaking Changes
+---------------------
+<% commits.breaking.forEach(commit => { -%>
+  * <<%= commit.revision.substr(0, 7) %>> - <%= commit.conventional.breakingNote || commit.conventional.description %>
+<% }); -%>
+<% } -%>
+<% commits.byType.forEach(group => { -%>
+
+<%= group.title %>
 ---------------------
-<% blockNoTickets.forEach(commit => { -%>
+<% group.commits.forEach(commit => { -%>
   * <%= commit.slackUser ? '@'+commit.slackUser.name : commit.authorName %> - <<%= commit.revision.substr(0, 7) %>> - <%= commit.summary %>
 <% }); -%>
-<% if (!blockNoTickets.length) {%> ~ None ~ <% } %>
+<% }); -%>
+<% if (!commits.noTickets.length && !options.hideEmptyBlocks) { -%>
+
+Other Commits
+---------------------
+ ~ None ~
 <% } -%>
 <% blockPendingByOwner = tickets.pendingByOwner; -%>
 <% if (blockPendingByOwner.length > 0 || !options.hideEmptyBlocks) { -%>
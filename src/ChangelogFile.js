@@ -0,0 +1,174 @@
+/**
+ * Manages writing the changelog into a CHANGELOG.md file.
+ *
+ * Each release is added as a new section at the top of the file, below the
+ * title and any introduction text:
+ *
+ * ```
+ * # Changelog
+ *
+ * ## sprint-12 (2020-02-04)
+ * ...
+ *
+ * ## sprint-11 (2020-01-21)
+ * ...
+ * ```
+ */
+
+import fs from 'fs';
+
+/**
+ * The title added to new changelog files.
+ */
+export const FILE_TITLE = '# Changelog';
+
+/**
+ * Escape a string to be used in a regular expression.
+ *
+ * @param {String} str
+ * @return {String}
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Format a date as YYYY-MM-DD, in local time.
+ *
+ * @param {Date} date
+ * @return {String}
+ */
+export function formatDay(date) {
+  const pad = num => String(num).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Move the markdown headings in the content down, so the top level headings
+ * are at `level` (nested under the release section heading).
+ * Setext headings (underlined with `===` or `---`) are converted to `#` headings.
+ *
+ * @param {String} content - The changelog content
+ * @param {Number} level - The heading level of the top level headings
+ * @return {String}
+ */
+export function nestHeadings(content, level=3) {
+  const lines = content.split('\n');
+  const headings = [];
+  let inCode = false;
+
+  lines.forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCode = !inCode;
+      return;
+    }
+    if (inCode) {
+      return;
+    }
+
+    const atx = line.match(/^(#{1,6})\s+(.*)$/);
+    const underline = lines[i + 1] && lines[i + 1].match(/^(=+|-+)\s*$/);
+    if (atx) {
+      headings.push({ index: i, depth: atx[1].length, text: atx[2] });
+    } else if (underline && line.trim() && !/^\s*([*+-]|\d+\.)\s/.test(line)) {
+      headings.push({ index: i, depth: (underline[1][0] === '=') ? 1 : 2, text: line.trim(), setext: true });
+    }
+  });
+  if (!headings.length) {
+    return content;
+  }
+
+  const shift = Math.max(0, level - Math.min(...headings.map(h => h.depth)));
+  headings.forEach(({ index, depth, text, setext }) => {
+    lines[index] = `${'#'.repeat(Math.min(depth + shift, 6))} ${text}`;
+    if (setext) {
+      lines[index + 1] = null;
+    }
+  });
+  return lines.filter(line => line !== null).join('\n');
+}
+
+/**
+ * Create a changelog section for a release version.
+ * The headings in the content are nested under the section heading.
+ *
+ * @param {String} version - The release version name
+ * @param {String} content - The changelog content
+ * @param {Date} date - The release date (the day is in local time)
+ * @return {String}
+ */
+export function formatSection(version, content, date=new Date()) {
+  return `## ${version} (${formatDay(date)})\n\n${nestHeadings(content.trim())}\n`;
+}
+
+/**
+ * Does the changelog text already contain a section for a release version.
+ *
+ * @param {String} text - The changelog file contents
+ * @param {String} version - The release version name
+ * @return {Boolean}
+ */
+export function hasSection(text, version) {
+  const header = new RegExp(`^## \\[?${escapeRegExp(version)}\\]?(\\s|$)`, 'm');
+  return header.test(text);
+}
+
+/**
+ * Add a section above the existing sections of the changelog text.
+ *
+ * @param {String} text - The changelog file contents
+ * @param {String} section - The section created by `formatSection()`
+ * @return {String}
+ */
+export function prependSection(text, section) {
+  if (!text.trim()) {
+    return `${FILE_TITLE}\n\n${section}`;
+  }
+
+  // Insert before the first existing section
+  const match = text.match(/^## /m);
+  if (match) {
+    const head = text.substr(0, match.index);
+    const rest = text.substr(match.index);
+    return `${head}${section}\n${rest}`;
+  }
+
+  // No sections yet, add to the end
+  return `${text.trimEnd()}\n\n${section}`;
+}
+
+/**
+ * Read the changelog file, if it exists.
+ *
+ * @param {String} filePath - The path to the changelog file
+ * @return {String}
+ */
+export function readChangelogFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch(e) {
+    if (e.code === 'ENOENT') {
+      return '';
+    }
+    throw e;
+  }
+}
+
+/**
+ * Add a release version section to the changelog file.
+ * Throws an error if the file already has a section for this version.
+ *
+ * @param {String} filePath - The path to the changelog file
+ * @param {String} version - The release version name
+ * @param {String} content - The changelog content
+ * @param {Date} date - The release date
+ */
+export function writeChangelogFile(filePath, version, content, date=new Date()) {
+  const text = readChangelogFile(filePath);
+  if (hasSection(text, version)) {
+    throw new Error(`${filePath} already has a section for version '${version}'.`);
+  }
+
+  const section = formatSection(version, content, date);
+  fs.writeFileSync(filePath, prependSection(text, section));
+}
@@ -0,0 +1,52 @@
+import { formatSection, nestHeadings, hasSection, prependSection } from './ChangelogFile';
+
+const DATE = new Date(2020, 1, 4, 23, 30);
+
+describe('Changelog sections', () => {
+  test('format section', () => {
+    const section = formatSection('sprint-12', '\nJira Tickets\n---\n', DATE);
+    expect(section).toBe('## sprint-12 (2020-02-04)\n\n### Jira Tickets\n');
+  });
+
+  test('nest markdown headings under the section heading', () => {
+    const content = '## Release sprint-12\n\n### Jira Tickets\n\n* foo\n\n```\n# not a heading\n```\n';
+    expect(nestHeadings(content)).toBe('### Release sprint-12\n\n#### Jira Tickets\n\n* foo\n\n```\n# not a heading\n```\n');
+  });
+
+  test('nest setext headings under the section heading', () => {
+    const content = 'Release\n=====\n\nJira Tickets\n---------------------\n  * foo\n';
+    expect(nestHeadings(content)).toBe('### Release\n\n#### Jira Tickets\n  * foo\n');
+  });
+
+  test('headings which are already nested', () => {
+    expect(nestHeadings('#### Fixes\n\n* foo')).toBe('#### Fixes\n\n* foo');
+  });
+
+  test('find existing version section', () => {
+    const text = '# Changelog\n\n## sprint-12 (2020-02-04)\n\nfoo\n\n## [v1.0.1] - 2020-01-01\n';
+    expect(hasSection(text, 'sprint-12')).toBe(true);
+    expect(hasSection(text, 'v1.0.1')).toBe(true);
+    expect(hasSection(text, 'sprint-1')).toBe(false);
+    expect(hasSection(text, 'v1.0')).toBe(false);
+  });
+
+  test('new changelog file', () => {
+    const section = formatSection('sprint-12', 'foo', DATE);
+    expect(prependSection('', section)).toBe('# Changelog\n\n## sprint-12 (2020-02-04)\n\nfoo\n');
+  });
+
+  test('prepend above older sections', () => {
+    const text = '# Changelog\n\nAll notable changes.\n\n## sprint-11 (2020-01-21)\n\nbar\n';
+    const section = formatSection('sprint-12', 'foo', DATE);
+    expect(prependSection(text, section)).toBe(
+      '# Changelog\n\nAll notable changes.\n\n' +
+      '## sprint-12 (2020-02-04)\n\nfoo\n\n' +
+      '## sprint-11 (2020-01-21)\n\nbar\n'
+    );
+  });
+
+  test('file without sections', () => {
+    const section = formatSection('sprint-12', 'foo', DATE);
+    expect(prependSection('# Changelog\n', section)).toBe('# Changelog\n\n## sprint-12 (2020-02-04)\n\nfoo\n');
+  });
+});
@@ -58,9 +58,9 @@ export function readConfigFile(cwd) {
     localConf = require(configPath);
   } catch(e) {
     if (e instanceof SyntaxError) {
-      console.log('Error reading changelog.config.js:');
-      console.log(e.stack);
-      console.log(e.message);
+      console.error('Error reading changelog.config.js:');
+      console.error(e.stack);
+      console.error(e.message);
     }
   }
 
@@ -68,6 +68,24 @@ export function readConfigFile(cwd) {
   return localConf;
 }
 
+/**
+ * Use the default for each option of a nested config object which is not set.
+ * (`defaultValues` only fills in the options of nested objects which are missing entirely)
+ *
+ * @param {Object} options - The config options (i.e. `config.jira.cache`)
+ * @param {Object} defaults - The default options
+ * @return {Object}
+ */
+export function defaultOptions(options, defaults) {
+  const merged = { ...defaults };
+  Object.entries(options || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
 /**
  * Add the default values into the config object
  *
@@ -26,6 +26,10 @@ describe('Default values', () => {
     const merged = Config.defaultValues(obj1, defaults);
     expect(merged).toEqual({ foo: 'bar', hello: 'world' });
   })
+  test('fills in unset nested options', () => {
+    const merged = Config.defaultOptions({ foo: 'bar', hello: null }, { foo: 'baz', hello: 'world' });
+    expect(merged).toEqual({ foo: 'bar', hello: 'world' });
+  })
   test('merges nested objects', () => {
     const obj1 = {
       nested: {
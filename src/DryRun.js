@@ -0,0 +1,63 @@
+/**
+ * Records the write operations that would have been made to Jira, Slack, etc.,
+ * when running with `--dry-run`.
+ *
+ * Action Object
+ * -------------
+ * Each recorded action looks like this:
+ * ```
+ * {
+ *   service:     {String} The service that would be changed (i.e. 'jira')
+ *   action:      {String} The API method or endpoint name (i.e. 'createVersion')
+ *   description: {String} Human readable description of the change
+ *   data:        {Array}  The arguments the API would have been called with
+ * }
+ * ```
+ */
+export default class DryRun {
+
+  constructor() {
+    this.actions = [];
+  }
+
+  /**
+   * Record an action, instead of performing it.
+   *
+   * @param {String} service - The service that would be changed (i.e. 'jira')
+   * @param {String} action - The API method or endpoint name
+   * @param {String} description - Human readable description of the change
+   * @param {Array} data - The arguments the API would have been called with
+   * @return {Object} The recorded action
+   */
+  record(service, action, description, data=[]) {
+    const item = { service, action, description, data };
+    this.actions.push(item);
+    return item;
+  }
+
+  /**
+   * Format the recorded actions as a plan, grouped by service.
+   *
+   * @return {String}
+   */
+  formatPlan() {
+    if (!this.actions.length) {
+      return 'Dry run: nothing would have been changed.';
+    }
+
+    const services = {};
+    this.actions.forEach((item) => {
+      services[item.service] = services[item.service] || [];
+      services[item.service].push(item);
+    });
+
+    const lines = [`Dry run: ${this.actions.length} change(s) would have been made.`];
+    Object.entries(services).forEach(([service, actions]) => {
+      lines.push('', `${service}:`);
+      actions.forEach(({ action, description }) => {
+        lines.push(`  * [${action}] ${description}`);
+      });
+    });
+    return lines.join('\n');
+  }
+}
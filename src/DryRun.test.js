@@ -0,0 +1,27 @@
+import DryRun from './DryRun';
+
+describe('Dry run plan', () => {
+  test('no changes', () => {
+    const dryRun = new DryRun();
+    expect(dryRun.formatPlan()).toContain('nothing would have been changed');
+  });
+
+  test('changes grouped by service', () => {
+    const dryRun = new DryRun();
+    dryRun.record('jira', 'createVersion', "Create version 'v1' in project ENG", [{ name: 'v1' }]);
+    dryRun.record('slack', 'chat.postMessage', 'Post message to #eng');
+    dryRun.record('jira', 'updateIssue', 'Set fixVersions of ENG-1 to v1');
+
+    expect(dryRun.actions.length).toBe(3);
+    expect(dryRun.formatPlan()).toBe([
+      'Dry run: 3 change(s) would have been made.',
+      '',
+      'jira:',
+      "  * [createVersion] Create version 'v1' in project ENG",
+      '  * [updateIssue] Set fixVersions of ENG-1 to v1',
+      '',
+      'slack:',
+      '  * [chat.postMessage] Post message to #eng',
+    ].join('\n'));
+  });
+});
@@ -1,37 +1,68 @@
 import "core-js/stable";
 import "regenerator-runtime/runtime";
+import ejs from 'ejs';
 import JiraApi from 'jira-client';
 import PromiseThrottle from 'promise-throttle';
 import Slack from './Slack';
+import TicketCache from './TicketCache';
+import { formatDay } from './ChangelogFile';
+import { getDefaultConfig, defaultOptions } from './Config';
 
-const promiseThrottle = new PromiseThrottle({
-  requestsPerSecond: 10,
-  promiseImplementation: Promise
-});
+/**
+ * Maximum number of tickets loaded with a single search request.
+ */
+export const SEARCH_BATCH_SIZE = 50;
+
+/**
+ * Ticket fields which are always loaded, when only some fields are loaded (see `jira.fields`),
+ * because they are used to generate the changelog.
+ */
+export const REQUIRED_FIELDS = ['issuetype', 'status', 'project', 'fixVersions', 'parent', 'reporter', 'updated'];
+
+/**
+ * Wait for a number of milliseconds.
+ *
+ * @param {Number} ms
+ * @return {Promise}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
 /**
  * Generate changelog by matching source control commit logs to jiar tickets.
  */
 export default class Jira {
 
-  constructor(config) {
+  /**
+   * @param {Object} config - The configuration object
+   * @param {DryRun} dryRun - Record write operations to this object, instead of sending them to Jira.
+   */
+  constructor(config, dryRun=null) {
     this.config = config;
+    this.dryRun = dryRun;
     this.slack = new Slack(config);
     this.jira = undefined;
     this.releaseVersions = [];
+    this.transitionReport = [];
     this.ticketPromises = {};
+    this.updatedTimestamps = {};
+    this.missingTickets = [];
+    this.failedTickets = [];
+
+    this.rateLimit = defaultOptions(config.jira.rateLimit, getDefaultConfig().jira.rateLimit);
+    this.throttle = new PromiseThrottle({
+      requestsPerSecond: this.rateLimit.requestsPerSecond,
+      promiseImplementation: Promise
+    });
 
-    const { host, username, password} = config.jira.api;
-    let { email, token, options } = config.jira.api;
-
-    if (!token && typeof password !== 'undefined') {
-      console.warn('WARNING: Jira password is deprecated. Use an API token instead.');
-      token = password
-    }
-    if (!email && typeof username !== 'undefined') {
-      console.warn('WARNING: Jira username is deprecated for API authentication. Use user email instead.');
-      email = username
+    const { cache, offline } = config.jira;
+    if (offline || (cache && cache.enabled)) {
+      this.cache = new TicketCache(config);
     }
+
+    const { host } = config.jira.api;
+    let { options } = config.jira.api;
     if (!options) {
       options = {}
     }
@@ -39,18 +70,82 @@ export default class Jira {
     if (config.jira.api.host) {
       this.jira = new JiraApi({
         host,
-        username: email,
-        password: token,
         protocol: 'https',
         strictSSL: true,
+        ...this.getAuthOptions(),
         ...options, // let user decide if they need to overwrite any of the hardcoded values (e.g. strictSSL or protocol)
         apiVersion: 2, // forcing api version 2 to avoid breaking code by using different api version
       });
-    } else {
+    } else if (!offline) {
       console.error('ERROR: Cannot configure Jira without a host configuration.');
     }
   }
 
+  /**
+   * Get the jira-client authentication options for the `jira.api.auth` type:
+   *
+   *  + basic: Email and API token (Jira Cloud)
+   *  + bearer: Personal Access Token (Jira Server / Data Center)
+   *  + oauth: OAuth 1.0a consumer key and access token
+   *
+   * @return {Object}
+   */
+  getAuthOptions() {
+    const { auth='basic', username, password, oauth={} } = this.config.jira.api;
+    let { email, token } = this.config.jira.api;
+
+    switch (auth) {
+      case 'bearer':
+        return { bearer: token };
+
+      case 'oauth':
+        return {
+          oauth: {
+            consumer_key: oauth.consumerKey,
+            consumer_secret: oauth.privateKey,
+            access_token: oauth.accessToken,
+            access_token_secret: oauth.accessTokenSecret,
+            signature_method: oauth.signatureMethod,
+          },
+        };
+
+      case 'basic':
+        if (!token && typeof password !== 'undefined') {
+          console.warn('WARNING: Jira password is deprecated. Use an API token instead.');
+          token = password
+        }
+        if (!email && typeof username !== 'undefined') {
+          console.warn('WARNING: Jira username is deprecated for API authentication. Use user email instead.');
+          email = username
+        }
+        return { username: email, password: token };
+
+      default:
+        throw new Error(`Unknown Jira auth type '${auth}'. Use 'basic', 'bearer' or 'oauth'.`);
+    }
+  }
+
+  /**
+   * Check that Jira accepts the API credentials, by loading the current user.
+   *
+   * @return {Promise} Resolves to the current Jira user, or rejects with an error explaining the problem.
+   */
+  async validateCredentials() {
+    if (!this.jira) {
+      return null;
+    }
+
+    const { host, auth='basic' } = this.config.jira.api;
+    try {
+      return await this.request(() => this.jira.getCurrentUser());
+    } catch(err) {
+      if (err && (err.statusCode === 401 || err.statusCode === 403)) {
+        throw new Error(`Jira rejected the ${auth} auth credentials for ${host} (${err.statusCode}). Check the jira.api config.`);
+      }
+      throw new Error(`Could not connect to Jira at ${host}: ${(err && err.message) || err}`);
+    }
+  }
+
   /**
    * Generate changelog by matching source control commit logs to jira tickets
    * and, optionally, creating the release version.
@@ -62,8 +157,13 @@ export default class Jira {
   async generate(commitLogs, releaseVersion=null) {
     const logs = [];
     this.releaseVersions = [];
+    this.transitionReport = [];
     try {
 
+      // Load all the tickets with batched search requests
+      const keys = commitLogs.reduce((all, commit) => all.concat(this.findTicketKeys(commit)), []);
+      await this.prefetchTickets(keys);
+
       const promises = commitLogs.map((commit) => (
         this.findJiraInCommit(commit, releaseVersion)
           .then((log) => { logs.push(log); })
@@ -80,9 +180,16 @@ export default class Jira {
       });
       ticketsList = Object.keys(ticketsHash).map(k => ticketsHash[k]);
 
-      // If there are Jira tickets, create a release for them
-      if (ticketsList.length && releaseVersion) {
-        return this.addTicketsToReleaseVersion(ticketsList, releaseVersion).then(() => logs);
+      // Add the epic each ticket belongs to
+      await Promise.all(ticketsList.map(async (ticket) => {
+        ticket.epic = await this.findEpic(ticket);
+      }));
+
+      // If there are Jira tickets, create a release for them and transition them (not in offline mode)
+      if (ticketsList.length && releaseVersion && !this.config.jira.offline) {
+        await this.addTicketsToReleaseVersion(ticketsList, releaseVersion);
+        await this.commentOnTickets(ticketsList, logs, releaseVersion);
+        this.transitionReport = await this.transitionTickets(ticketsList);
       }
 
       return logs;
@@ -91,6 +198,103 @@ export default class Jira {
     }
   }
 
+  /**
+   * Find the JIRA ticket keys in the commit text and branch names of a commit log.
+   *
+   * @param {Object} log - Commit log object
+   * @return {Array} List of ticket keys
+   */
+  findTicketKeys(log) {
+    const branchPattern = this.config.jira.branchTicketIDPattern;
+    const ticketKeys = this.parseTicketsFromString(log.fullText);
+    if (branchPattern) {
+      (log.branches || []).forEach((branch) => {
+        ticketKeys.push(...this.parseTicketsFromString(branch, branchPattern));
+      });
+    }
+    return ticketKeys;
+  }
+
+  /**
+   * Load tickets in batches, with a JQL search for their keys (`key in (...)`),
+   * so they don't need to be loaded one at a time.
+   * If `jira.fields` is set, only those fields are loaded and the tickets are not cached.
+   *
+   * Cached tickets are checked against the `updated` timestamp in Jira first, and
+   * are only loaded again when they changed since they were cached.
+   *
+   * The loaded tickets are returned by `fetchJiraTicket`. Tickets which are
+   * not returned by the search are left to be loaded individually.
+   *
+   * @param {Array} keys - List of ticket keys
+   * @return {Promise}
+   */
+  async prefetchTickets(keys) {
+    const { offline, fields, epicLinkField } = this.config.jira;
+    if (offline || !this.jira) {
+      return;
+    }
+
+    // Skip tickets that are already loaded
+    keys = Array.from(new Set(keys)).filter(key => !this.ticketPromises[key]);
+
+    // Use the cached tickets which have not been updated in Jira
+    if (this.cache) {
+      const cachedKeys = keys.filter(key => this.cache.get(key));
+      const current = await this.searchTickets(cachedKeys, ['updated']);
+      current.forEach((issue) => {
+        this.updatedTimestamps[issue.key] = issue.fields && issue.fields.updated;
+        const ticket = this.cache.get(issue.key, { updated: this.updatedTimestamps[issue.key] });
+        if (ticket) {
+          this.ticketPromises[issue.key] = this.findReporterSlackUser(ticket);
+        }
+      });
+      keys = keys.filter(key => !this.ticketPromises[key]);
+    }
+
+    const partial = !!(fields && fields.length);
+    const searchFields = (partial)
+      ? Array.from(new Set([...fields, ...REQUIRED_FIELDS, epicLinkField].filter(Boolean)))
+      : ['*all'];
+    const issues = await this.searchTickets(keys, searchFields);
+    issues.forEach((issue) => {
+      if (this.cache && !partial) {
+        this.cache.set(issue.key, issue);
+      }
+      this.ticketPromises[issue.key] = this.findReporterSlackUser(issue);
+    });
+  }
+
+  /**
+   * Search for tickets by key, in batches.
+   * Search errors are logged and otherwise ignored.
+   *
+   * @param {Array} keys - List of ticket keys
+   * @param {Array} fields - The ticket fields to load
+   * @return {Promise} Resolves to the list of tickets found
+   */
+  async searchTickets(keys, fields) {
+    const batches = [];
+    for (let i = 0; i < keys.length; i += SEARCH_BATCH_SIZE) {
+      batches.push(keys.slice(i, i + SEARCH_BATCH_SIZE));
+    }
+
+    const results = await Promise.all(batches.map(batch => (
+      this
+        .request(() => this.jira.searchJira(`key in (${batch.join(',')})`, {
+          fields,
+          maxResults: batch.length,
+          validateQuery: 'warn',
+        }))
+        .then(result => result.issues || [])
+        .catch((err) => {
+          console.warn(`Could not search for tickets: ${(err && err.message) || err}`);
+          return [];
+        })
+    )));
+    return [].concat(...results);
+  }
+
   /**
    * Find JIRA ticket numbers in a commit log, and automatically load the
    * ticket info for it.
@@ -104,8 +308,7 @@ export default class Jira {
     const promises = [];
     const found = {};
 
-    // Search for jira ticket numbers in the commit text
-    const ticketKeys = this.parseTicketsFromString(log.fullText);
+    const ticketKeys = this.findTicketKeys(log);
     ticketKeys.forEach((key) => {
       // Skip loading if we're loading this one
       if (found[key]){
@@ -118,13 +321,82 @@ export default class Jira {
       );
     });
 
-    // Add jira tickets to log
+    // Add jira tickets to log (sub-tasks are replaced by their parent)
     const tickets = await Promise.all(promises);
-    log.tickets = tickets.filter(t => (t && this.includeTicket(t)))
+    const rolledUp = await Promise.all(tickets.map(t => this.rollUpSubtask(t)));
+    const added = {};
+    log.tickets = rolledUp.filter((t) => {
+      if (!t || added[t.key] || !this.includeTicket(t)) {
+        return false;
+      }
+      added[t.key] = true;
+      return true;
+    });
 
     return log;
   }
 
+  /**
+   * If the ticket is a sub-task, return its parent ticket instead.
+   * The sub-task will be added to the parent's `includedSubtasks` list.
+   *
+   * This only happens when `jira.rollUpSubtasks` is enabled in the config.
+   *
+   * @param {Object} ticket - Jira ticket object
+   * @return {Promise} Resolves to the parent ticket, or the ticket itself if it's not a sub-task.
+   */
+  async rollUpSubtask(ticket) {
+    if (!ticket || !ticket.fields || !this.config.jira.rollUpSubtasks) {
+      return ticket;
+    }
+
+    const { issuetype, parent } = ticket.fields;
+    if (!issuetype || !issuetype.subtask || !parent) {
+      return ticket;
+    }
+
+    const parentTicket = await this.fetchJiraTicket(parent.key).catch(() => undefined);
+    if (!parentTicket) {
+      return ticket;
+    }
+
+    parentTicket.includedSubtasks = parentTicket.includedSubtasks || [];
+    if (!parentTicket.includedSubtasks.find(t => t.key === ticket.key)) {
+      parentTicket.includedSubtasks.push(ticket);
+    }
+    return parentTicket;
+  }
+
+  /**
+   * Find the epic a ticket belongs to.
+   *
+   * The epic is either the ticket's parent issue (next-gen projects) or the issue
+   * linked by the `jira.epicLinkField` custom field (classic projects).
+   *
+   * @param {Object} ticket - Jira ticket object
+   * @return {Promise} Resolves to the epic ticket object or undefined
+   */
+  async findEpic(ticket) {
+    if (!ticket.fields) {
+      return undefined;
+    }
+
+    // Parent is an epic
+    const { parent } = ticket.fields;
+    if (parent && parent.fields && parent.fields.issuetype && parent.fields.issuetype.name === 'Epic') {
+      return parent;
+    }
+
+    // Epic link field
+    const { epicLinkField } = this.config.jira;
+    const epicKey = epicLinkField && ticket.fields[epicLinkField];
+    if (epicKey) {
+      return this.fetchJiraTicket(epicKey).catch(() => undefined);
+    }
+
+    return undefined;
+  }
+
   /**
    * Load a Jira issue ticket from the API.
    *
@@ -140,11 +412,16 @@ export default class Jira {
     // Get Jira issue ticket object
     let promise = this.ticketPromises[ticketKey];
     if (!promise) {
-      promise = promiseThrottle.add(
+      promise = this.request(
         this.getJiraIssue.bind(this, ticketKey)
       );
-      promise.catch(() => {
-        console.log(`Ticket ${ticketKey} not found`);
+      promise.catch((err) => {
+        if (err && err.statusCode && err.statusCode !== 404) {
+          this.failedTickets.push({ key: ticketKey, error: err.statusCode });
+          console.warn(`Ticket ${ticketKey} could not be loaded (${err.statusCode})`);
+        } else {
+          console.warn(`Ticket ${ticketKey} not found`);
+        }
       });
       this.ticketPromises[ticketKey] = promise;
     }
@@ -183,30 +460,243 @@ export default class Jira {
       // Add version to ticket
       const versionObj = await verPromise;
       const { fixVersions } = ticket.fields;
-      fixVersions.push({ name: versionObj.name });
+      if (!fixVersions.find(v => v.name === versionObj.name)) {
+        fixVersions.push({ name: versionObj.name });
+      }
 
-      const result = await this.jira.updateIssue(ticket.id, {
-        fields: { fixVersions }
-      });
+      const result = await this.writeApi(
+        'updateIssue',
+        `Set fixVersions of ${ticket.key} to ${fixVersions.map(v => v.name).join(', ')}`,
+        ticket.id, { fields: { fixVersions } }
+      );
       return result;
     }
 
     // Loop through tickets and throttle the promises.
     const promises = tickets.map((ticket) => {
-      return promiseThrottle
-        .add(updateTicketVersion.bind(this, ticket))
+      return this.request(updateTicketVersion.bind(this, ticket))
         .catch((err) => {
           if (err instanceof Error) {
-            console.log(err);
+            console.error(err);
           } else {
-            console.log(JSON.stringify(err, null, '  '));
+            console.error(JSON.stringify(err, null, '  '));
           }
-          console.log(`Could not assign ticket ${ticket.key} to release '${versionName}'!`);
+          console.error(`Could not assign ticket ${ticket.key} to release '${versionName}'!`);
         });
     });
     return Promise.all(promises);
   }
 
+  /**
+   * Add the `jira.commentOnRelease` comment to each ticket in the release.
+   * The comment is an EJS template which receives the `ticket`, its `commits` and the
+   * release `version` name.
+   *
+   * Tickets that already have an identical comment will be skipped, so it's safe
+   * to run multiple times for the same release.
+   *
+   * @param {Array} tickets - List of Jira ticket objects
+   * @param {Array} logs - List of commit logs, with their tickets
+   * @param {String} versionName - The name of the release version
+   * @return {Promise}
+   */
+  async commentOnTickets(tickets, logs, versionName) {
+    const template = this.config.jira.commentOnRelease;
+    if (!template) {
+      return [];
+    }
+
+    const promises = tickets.map((ticket) => {
+      const commits = logs.filter(log => log.tickets.find(t => t.key === ticket.key));
+      const comment = ejs.render(template, { ticket, commits, version: versionName }).trim();
+
+      return this.request(this.addTicketComment.bind(this, ticket, comment))
+        .catch((err) => {
+          if (err instanceof Error) {
+            console.error(err);
+          } else {
+            console.error(JSON.stringify(err, null, '  '));
+          }
+          console.error(`Could not add release comment to ticket ${ticket.key}!`);
+        });
+    });
+    return Promise.all(promises);
+  }
+
+  /**
+   * Add a comment to a ticket, unless the ticket already has an identical comment.
+   *
+   * @param {Object} ticket - Jira ticket object
+   * @param {String} comment - The comment text
+   * @return {Promise} Resolves to the new comment or null, if it was skipped
+   */
+  async addTicketComment(ticket, comment) {
+    if (!comment) {
+      return null;
+    }
+
+    const { comments } = await this.jira.getComments(ticket.id);
+    const exists = (comments || []).find(c => (
+      typeof c.body === 'string' && c.body.trim() === comment
+    ));
+    if (exists) {
+      return null;
+    }
+
+    return this.writeApi('addComment', `Comment on ${ticket.key}: "${comment}"`, ticket.id, comment);
+  }
+
+  /**
+   * Transition tickets to a new workflow status, using the `jira.transitionOnRelease`
+   * mapping of current status names to transition names.
+   * Tickets with a status that is not in the mapping are skipped.
+   *
+   * Report Object
+   * -------------
+   * Resolves to a list of report objects, for each ticket that was transitioned:
+   * ```
+   * {
+   *   key:        {String}  The ticket key
+   *   from:       {String}  The status the ticket was in
+   *   transition: {String}  The transition name
+   *   success:    {Boolean} If the transition was successful
+   *   error:      {String}  The error message, if it failed
+   * }
+   * ```
+   *
+   * @param {Array} tickets - List of Jira ticket objects
+   * @return {Promise<Array>} Resolves to the list of report objects.
+   */
+  async transitionTickets(tickets) {
+    const transitionMap = {};
+    Object.entries(this.config.jira.transitionOnRelease || {}).forEach(([status, transition]) => {
+      transitionMap[status.toLowerCase()] = transition;
+    });
+
+    const promises = tickets.map((ticket) => {
+      const from = ticket.fields.status && ticket.fields.status.name;
+      const transition = from && transitionMap[from.toLowerCase()];
+      if (!transition) {
+        return Promise.resolve(null);
+      }
+
+      const report = { key: ticket.key, from, transition };
+      return this.request(this.transitionTicket.bind(this, ticket, transition))
+        .then(() => ({ ...report, success: true }))
+        .catch((err) => ({
+          ...report,
+          success: false,
+          error: (err instanceof Error) ? err.message : JSON.stringify(err),
+        }));
+    });
+
+    const results = await Promise.all(promises);
+    return results.filter(r => !!r);
+  }
+
+  /**
+   * Transition a single ticket, by transition name.
+   *
+   * @param {Object} ticket - Jira ticket object
+   * @param {String} transitionName - The name of the workflow transition
+   * @return {Promise}
+   */
+  async transitionTicket(ticket, transitionName) {
+    const searchName = transitionName.toLowerCase();
+    const { transitions } = await this.jira.listTransitions(ticket.id);
+
+    const transition = transitions.find(t => t.name.toLowerCase() === searchName);
+    if (!transition) {
+      throw new Error(`Transition '${transitionName}' is not available for ${ticket.key}`);
+    }
+
+    return this.writeApi(
+      'transitionIssue',
+      `Transition ${ticket.key} with '${transition.name}'`,
+      ticket.id, { transition: { id: transition.id } }
+    );
+  }
+
+  /**
+   * Update the release versions created by `addTicketsToReleaseVersion`, with
+   * the options in the `jira.release` config:
+   *
+   *  + setReleaseDate: Set the release date to today.
+   *  + description: Set the description from the rendered changelog.
+   *  + markReleased: Mark the version as released.
+   *  + archivePrevious: Archive the other released versions of the project.
+   *
+   * @param {String} content - The rendered changelog
+   * @param {Object} data - The data which generated the changelog content.
+   * @return {Promise}
+   */
+  async updateReleaseVersions(content, data) {
+    const { release, offline } = this.config.jira;
+    if (!release || offline || !this.releaseVersions.length) {
+      return [];
+    }
+
+    // Version changes
+    const changes = {};
+    if (release.setReleaseDate) {
+      changes.releaseDate = formatDay(new Date());
+    }
+    if (release.markReleased) {
+      changes.released = true;
+    }
+    if (typeof release.description === 'function') {
+      changes.description = await Promise.resolve(release.description(content, data));
+    } else if (release.description) {
+      changes.description = content.trim();
+    }
+
+    const promises = this.releaseVersions.map(async (version) => {
+      try {
+        if (Object.keys(changes).length) {
+          await this.request(() => this.writeApi(
+            'updateVersion',
+            `Update version '${version.name}' in project ${version.projectKey}: ${Object.keys(changes).join(', ')}`,
+            { id: version.id, ...changes }
+          ));
+          Object.assign(version, changes);
+        }
+        if (release.archivePrevious) {
+          await this.archivePreviousVersions(version);
+        }
+      } catch(err) {
+        if (err instanceof Error) {
+          console.error(err);
+        } else {
+          console.error(JSON.stringify(err, null, '  '));
+        }
+        console.error(`Could not update release '${version.name}' in project ${version.projectKey}!`);
+      }
+    });
+    return Promise.all(promises);
+  }
+
+  /**
+   * Archive all released versions of a project, other than the current one.
+   *
+   * @param {Object} version - The current release version, with a `projectKey` property.
+   * @return {Promise<Array>} Resolves to the list of archived versions
+   */
+  async archivePreviousVersions(version) {
+    const versions = await this.jira.getVersions(version.projectKey);
+    const previous = versions.filter(v => (
+      v.id !== version.id && v.released && !v.archived
+    ));
+
+    await Promise.all(previous.map((v) => (
+      this.request(() => this.writeApi(
+        'updateVersion',
+        `Archive version '${v.name}' in project ${version.projectKey}`,
+        { id: v.id, archived: true }
+      ))
+    )));
+    return previous;
+  }
+
   /**
    * Add a version to a single project, if it doesn't current exist
    * @param {String} versionName - The version name
@@ -222,10 +712,11 @@ export default class Jira {
       return exists;
     }
 
-    const result = await this.jira.createVersion({
-      name: versionName,
-      project: projectKey
-    });
+    const result = await this.writeApi(
+      'createVersion',
+      `Create version '${versionName}' in project ${projectKey}`,
+      { name: versionName, project: projectKey }
+    );
     return result;
   }
 
@@ -233,25 +724,122 @@ export default class Jira {
    * Retreive the jira issue by ID.
    * Also attempt to match a slack user to the reporter's email address.
    *
+   * If the ticket cache is enabled, the ticket will be served from it when possible
+   * (unless `prefetchTickets` found that it was updated in Jira since it was cached).
+   * In offline mode, tickets are only served from the cache and missing tickets
+   * are added to `missingTickets`.
+   *
    * @param {String} ticketId - The ticket ID of the issue to retrieve.
    * @return {Promise} Resolves a jira issue object, with added `slackUser` property.
    */
   async getJiraIssue(ticketId) {
-    if (!this.jira) {
-      return Promise.reject('Jira is not configured.');
-    }
-
-    return this.jira.findIssue(ticketId).then((origTicket) => {
-      const ticket = Object.assign({}, origTicket);
-      if (!this.config.slack.api || !ticket.fields.reporter)
-        return ticket;
-      return this.slack.findUser(ticket.fields.reporter.emailAddress, ticket.fields.reporter.displayName)
-      .then((slackUser) => {
-        ticket.slackUser = slackUser;
-        return ticket;
-      })
-      .catch(() => ticket);
+    const { offline } = this.config.jira;
+    let origTicket = this.cache && this.cache.get(ticketId, {
+      ignoreTTL: offline,
+      updated: this.updatedTimestamps[ticketId],
     });
+
+    if (!origTicket) {
+      if (offline) {
+        this.missingTickets.push(ticketId);
+        return Promise.reject(`Ticket ${ticketId} is not in the offline cache.`);
+      }
+      if (!this.jira) {
+        return Promise.reject('Jira is not configured.');
+      }
+
+      origTicket = await this.jira.findIssue(ticketId);
+      if (this.cache) {
+        this.cache.set(ticketId, origTicket);
+      }
+    }
+
+    return this.findReporterSlackUser(origTicket);
+  }
+
+  /**
+   * Copy a ticket and attempt to match a slack user to the reporter's email address.
+   *
+   * @param {Object} origTicket - The jira issue object
+   * @return {Promise} Resolves a copy of the jira issue object, with added `slackUser` property.
+   */
+  findReporterSlackUser(origTicket) {
+    const ticket = Object.assign({}, origTicket);
+    if (this.config.jira.offline || !this.slack.hasApiToken() || !ticket.fields.reporter)
+      return Promise.resolve(ticket);
+    return this.slack.findUser(ticket.fields.reporter.emailAddress, ticket.fields.reporter.displayName)
+    .then((slackUser) => {
+      ticket.slackUser = slackUser;
+      return ticket;
+    })
+    .catch(() => ticket);
+  }
+
+  /**
+   * Run a Jira API request through the rate limit throttle.
+   * Requests which are rate limited (429) or fail with a server error (5xx) are retried,
+   * up to `jira.rateLimit.retries` times, with an exponential backoff.
+   *
+   * @param {Function} fn - Function which makes the request and returns a Promise
+   * @return {Promise}
+   */
+  async request(fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.throttle.add(fn);
+      } catch(err) {
+        const delay = this.getRetryDelay(err, attempt);
+        if (delay === null || attempt >= this.rateLimit.retries) {
+          throw err;
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Get the number of milliseconds to wait before retrying a failed request.
+   * The `Retry-After` response header is used, if it's set.
+   *
+   * @param {Object} err - The request error
+   * @param {Number} attempt - The number of retries so far
+   * @return {Number} The delay, or null if the request should not be retried
+   */
+  getRetryDelay(err, attempt) {
+    const status = err && err.statusCode;
+    if (status !== 429 && !(status >= 500)) {
+      return null;
+    }
+
+    const headers = (err.response && err.response.headers) || {};
+    const retryAfter = headers['retry-after'];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = (isNaN(seconds)) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!isNaN(ms)) {
+        return Math.max(ms, 0);
+      }
+    }
+    return this.rateLimit.retryDelay * Math.pow(2, attempt);
+  }
+
+  /**
+   * Call a Jira API method which changes data in Jira.
+   * In dry-run mode, the call is recorded instead and resolves to the request data
+   * (the last argument).
+   *
+   * @param {String} method - The jira-client method name (i.e. 'updateIssue')
+   * @param {String} description - Human readable description of the change
+   * @param {...*} args - The arguments to call the method with
+   * @return {Promise}
+   */
+  writeApi(method, description, ...args) {
+    if (this.dryRun) {
+      this.dryRun.record('jira', method, description, args);
+      const data = args[args.length - 1];
+      return Promise.resolve((typeof data === 'object') ? { ...data } : data);
+    }
+    return this.jira[method](...args);
   }
 
   /**
@@ -277,24 +865,33 @@ export default class Jira {
 
   /**
    * Parse the JIRA ticket keys embedded in a string.
+   * Only keys for the projects in `jira.projectKeys` are returned, when it's defined.
+   *
    * @param   {Object} str - The string to parse them out of.
+   * @param   {RegExp|Array} patterns - The ticket key pattern, or list of patterns (defaults to `jira.ticketIDPattern`)
    * @returns {Array} List of tickets
    */
-  parseTicketsFromString(str) {
-    const configPattern = this.config.jira.ticketIDPattern;
-    const searchPattern = new RegExp(configPattern.source, `${configPattern.flags || ''}g`);
-    const matches = str.match(searchPattern) || [];
-
-    // Extract ticket from pattern
-    return matches
-      .map((match) => {
+  parseTicketsFromString(str, patterns=this.config.jira.ticketIDPattern) {
+    const projectKeys = (this.config.jira.projectKeys || []).map(k => k.toUpperCase());
+    const keys = [];
+
+    [].concat(patterns).forEach((configPattern) => {
+      const searchPattern = new RegExp(configPattern.source, `${configPattern.flags.replace('g', '')}g`);
+      const matches = str.match(searchPattern) || [];
+
+      // Extract ticket from pattern
+      matches.forEach((match) => {
         let key = match.match(configPattern);
         key = (key.length > 1) ? key[1] : key[0];
-        if (!key) {
-          return null;
+        if (key) {
+          keys.push(key.toUpperCase());
         }
-        return key.toUpperCase();
-      })
-      .filter(m => !!m);
+      });
+    });
+
+    if (!projectKeys.length) {
+      return keys;
+    }
+    return keys.filter(key => projectKeys.includes(key.split('-')[0]));
   }
 }
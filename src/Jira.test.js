@@ -1,4 +1,9 @@
-import Jira from './Jira';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Jira, { REQUIRED_FIELDS } from './Jira';
+import DryRun from './DryRun';
+import { formatDay } from './ChangelogFile';
 import {getDefaultConfig} from './Config';
 
 const DEFAULT_TICKET = () => ({
@@ -39,9 +44,17 @@ beforeEach(() => {
     return Promise.reject();
   });
 
+  jira.jira.searchJira = jest.fn(() => Promise.resolve({ issues: [] }));
   jira.jira.getVersions = jest.fn((project) => Promise.resolve(jiraVersions));
   jira.jira.createVersion = jest.fn((data) => Promise.resolve(data));
   jira.jira.updateIssue = jest.fn((key, data) => Promise.resolve(data));
+  jira.jira.updateVersion = jest.fn((data) => Promise.resolve(data));
+  jira.jira.listTransitions = jest.fn(() => Promise.resolve({
+    transitions: [{ id: '31', name: 'Release' }],
+  }));
+  jira.jira.transitionIssue = jest.fn(() => Promise.resolve());
+  jira.jira.getComments = jest.fn(() => Promise.resolve({ comments: [] }));
+  jira.jira.addComment = jest.fn((id, comment) => Promise.resolve({ body: comment }));
 });
 
 describe('Extract ticket keys from a string', () => {
@@ -56,6 +69,18 @@ describe('Extract ticket keys from a string', () => {
     const tickets = jira.parseTicketsFromString('Foo bar ENG-123 ABC-1nospace');
     expect(tickets).toEqual(['ENG-123', 'ABC-1']);
   });
+
+  test('multiple patterns', () => {
+    jira = new Jira({ ...config, jira: { ...config.jira, ticketIDPattern: [/\[([A-Z]+-[0-9]+)\]/, /^([A-Z]+-[0-9]+):/] } });
+    const tickets = jira.parseTicketsFromString('ENG-123: Foo bar [ABC-1]');
+    expect(tickets).toEqual(['ABC-1', 'ENG-123']);
+  });
+
+  test('only keys of allowed projects', () => {
+    jira = new Jira({ ...config, jira: { ...config.jira, ticketIDPattern: /([A-Z]+-[0-9]+)/i, projectKeys: ['eng', 'ABC'] } });
+    const tickets = jira.parseTicketsFromString('Use UTF-8 and SHA-256 for ENG-123 and abc-1');
+    expect(tickets).toEqual(['ENG-123', 'ABC-1']);
+  });
 });
 
 describe('Fetch ticket objects from Jira', () => {
@@ -82,6 +107,284 @@ describe('Fetch ticket objects from Jira', () => {
     expect(tix).toEqual(['ENG-123', 'ABC-1']);
     expect(jira.fetchJiraTicket).toBeCalledTimes(2);
   });
+
+  test('Get tickets from branch names', async () => {
+    tixInJira = ['ENG-123', 'ABC-1'];
+    jira.config = { ...config, jira: { ...config.jira, branchTicketIDPattern: /([A-Z][A-Z0-9]+-[0-9]+)/ } };
+
+    const commit = await jira.findJiraInCommit({
+      fullText: 'Merge pull request #12 from org/feature/ABC-1-login',
+      branches: ['org/feature/ABC-1-login', 'bugfix/ENG-123', 'utf8-fixes'],
+    });
+    const tix = commit.tickets.map(t => t.key);
+
+    expect(tix).toEqual(['ABC-1', 'ENG-123']);
+  });
+
+  test('Branch names are not searched by default', async () => {
+    tixInJira = ['ABC-1'];
+    jira = new Jira(config);
+    jira.fetchJiraTicket = jest.fn(() => Promise.resolve({ key: 'ABC-1', ...DEFAULT_TICKET() }));
+
+    const commit = await jira.findJiraInCommit({
+      fullText: 'Merge branch',
+      branches: ['feature/ABC-1-login'],
+    });
+    expect(commit.tickets).toEqual([]);
+  });
+});
+
+describe('Batch loading tickets', () => {
+  let client;
+  beforeEach(() => {
+    client = new Jira({ ...config, jira: { ...config.jira, branchTicketIDPattern: /([A-Z][A-Z0-9]+-[0-9]+)/ } });
+    client.jira.searchJira = jest.fn((jql) => {
+      const keys = jql.match(/key in \((.*)\)/)[1].split(',');
+      const issues = keys
+        .filter(key => key !== 'ENG-404')
+        .map(key => ({ key, ...DEFAULT_TICKET() }));
+      return Promise.resolve({ issues });
+    });
+    client.jira.findIssue = jest.fn(key => Promise.resolve({ key, ...DEFAULT_TICKET() }));
+  });
+
+  test('Load tickets with a search', async () => {
+    await client.prefetchTickets(['ENG-1', 'ENG-2', 'ENG-1']);
+
+    expect(client.jira.searchJira).toBeCalledTimes(1);
+    const [jql, options] = client.jira.searchJira.mock.calls[0];
+    expect(jql).toBe('key in (ENG-1,ENG-2)');
+    expect(options).toMatchObject({ fields: ['*all'], maxResults: 2, validateQuery: 'warn' });
+
+    const ticket = await client.fetchJiraTicket('ENG-2');
+    expect(ticket.key).toBe('ENG-2');
+    expect(client.jira.findIssue).not.toHaveBeenCalled();
+  });
+
+  test('Split keys into batches', async () => {
+    const keys = Array.from({ length: 120 }, (v, i) => `ENG-${i + 1}`);
+    await client.prefetchTickets(keys);
+
+    const sizes = client.jira.searchJira.mock.calls.map(([jql]) => jql.split(',').length);
+    expect(sizes).toEqual([50, 50, 20]);
+  });
+
+  test('Load missing tickets individually', async () => {
+    await client.prefetchTickets(['ENG-1', 'ENG-404']);
+    await client.fetchJiraTicket('ENG-404');
+    expect(client.jira.findIssue).toBeCalledTimes(1);
+    expect(client.jira.findIssue).toBeCalledWith('ENG-404');
+  });
+
+  test('Load tickets individually when the search fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    client.jira.searchJira = jest.fn(() => Promise.reject(new Error('400')));
+
+    await client.prefetchTickets(['ENG-1']);
+    const ticket = await client.fetchJiraTicket('ENG-1');
+    expect(ticket.key).toBe('ENG-1');
+    expect(client.jira.findIssue).toBeCalledTimes(1);
+    console.warn.mockRestore();
+  });
+
+  test('Search for the tickets in the commit logs', async () => {
+    await client.generate([
+      { fullText: '[ENG-1] Foo', branches: ['feature/ENG-2'] },
+      { fullText: '[ENG-3] Bar' },
+    ]);
+    expect(client.jira.searchJira).toBeCalledTimes(1);
+    expect(client.jira.searchJira.mock.calls[0][0]).toBe('key in (ENG-1,ENG-2,ENG-3)');
+    expect(client.jira.findIssue).not.toHaveBeenCalled();
+  });
+});
+
+describe('Batch loading cached tickets', () => {
+  let dir;
+  let client;
+  const updatedInJira = { 'ENG-1': '2020-01-01', 'ENG-2': '2020-02-01' };
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-changelog-'));
+    client = new Jira({
+      ...config,
+      jira: {
+        ...config.jira,
+        cache: { enabled: true, dir },
+      },
+    });
+    client.jira.searchJira = jest.fn((jql, { fields }) => {
+      const keys = jql.match(/key in \((.*)\)/)[1].split(',');
+      const issues = keys.map(key => ({
+        key,
+        fields: (fields[0] === 'updated')
+          ? { updated: updatedInJira[key] }
+          : { ...DEFAULT_TICKET().fields, summary: 'From Jira', updated: updatedInJira[key] },
+      }));
+      return Promise.resolve({ issues });
+    });
+    client.jira.findIssue = jest.fn();
+
+    const cached = { ...DEFAULT_TICKET().fields, summary: 'From cache', updated: '2020-01-01' };
+    client.cache.set('ENG-1', { key: 'ENG-1', fields: cached });
+    client.cache.set('ENG-2', { key: 'ENG-2', fields: cached });
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  test('Reload tickets which were updated in Jira', async () => {
+    await client.prefetchTickets(['ENG-1', 'ENG-2', 'ENG-3']);
+
+    const searches = client.jira.searchJira.mock.calls;
+    expect(searches.length).toBe(2);
+    expect(searches[0][0]).toBe('key in (ENG-1,ENG-2)');
+    expect(searches[0][1].fields).toEqual(['updated']);
+    expect(searches[1][0]).toBe('key in (ENG-2,ENG-3)');
+
+    expect((await client.fetchJiraTicket('ENG-1')).fields.summary).toBe('From cache');
+    expect((await client.fetchJiraTicket('ENG-2')).fields.summary).toBe('From Jira');
+    expect(client.cache.get('ENG-2').fields.updated).toBe('2020-02-01');
+    expect(client.jira.findIssue).not.toHaveBeenCalled();
+  });
+
+  test('Skip cached tickets which were updated, when loading individually', async () => {
+    client.jira.searchJira.mockImplementation((jql, { fields }) => (
+      (fields[0] === 'updated')
+        ? Promise.resolve({ issues: [{ key: 'ENG-2', fields: { updated: '2020-02-01' } }] })
+        : Promise.reject(new Error('400'))
+    ));
+    client.jira.findIssue.mockImplementation(key => Promise.resolve({ key, fields: { summary: 'From Jira' } }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await client.prefetchTickets(['ENG-2']);
+    expect((await client.fetchJiraTicket('ENG-2')).fields.summary).toBe('From Jira');
+    expect(client.jira.findIssue).toBeCalledWith('ENG-2');
+    console.warn.mockRestore();
+  });
+
+  test('Tickets with only some fields are not cached', async () => {
+    client.config = { ...client.config, jira: { ...client.config.jira, fields: ['summary'], epicLinkField: 'customfield_10014' } };
+    await client.prefetchTickets(['ENG-3']);
+
+    expect(client.jira.searchJira.mock.calls[0][1].fields).toEqual(['summary', ...REQUIRED_FIELDS, 'customfield_10014']);
+    expect((await client.fetchJiraTicket('ENG-3')).fields.summary).toBe('From Jira');
+    expect(client.cache.get('ENG-3')).toBeUndefined();
+  });
+});
+
+describe('Rate limiting', () => {
+  const statusError = (statusCode, headers={}) => {
+    const err = new Error(`${statusCode}`);
+    err.statusCode = statusCode;
+    err.response = { headers };
+    return err;
+  };
+
+  let client;
+  beforeEach(() => {
+    client = new Jira({ ...config, jira: { ...config.jira, rateLimit: { requestsPerSecond: 100, retries: 2, retryDelay: 1 } } });
+  });
+
+  test('Retry rate limited and server errors', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(statusError(429))
+      .mockRejectedValueOnce(statusError(503))
+      .mockResolvedValue('ok');
+
+    expect(await client.request(fn)).toBe('ok');
+    expect(fn).toBeCalledTimes(3);
+  });
+
+  test('Use the default for each limit which is not set', () => {
+    const defaults = config.jira.rateLimit;
+    client = new Jira({ ...config, jira: { ...config.jira, rateLimit: { requestsPerSecond: 5, retries: null } } });
+    expect(client.rateLimit).toEqual({ requestsPerSecond: 5, retries: defaults.retries, retryDelay: defaults.retryDelay });
+    expect(defaults.retries).toBe(3);
+  });
+
+  test('Stop retrying after the configured retries', async () => {
+    const fn = jest.fn(() => Promise.reject(statusError(500)));
+    await expect(client.request(fn)).rejects.toThrow('500');
+    expect(fn).toBeCalledTimes(3);
+  });
+
+  test('Do not retry client errors', async () => {
+    const fn = jest.fn(() => Promise.reject(statusError(404)));
+    await expect(client.request(fn)).rejects.toThrow('404');
+    expect(fn).toBeCalledTimes(1);
+  });
+
+  test('Exponential backoff', () => {
+    client.rateLimit.retryDelay = 1000;
+    expect(client.getRetryDelay(statusError(429), 0)).toBe(1000);
+    expect(client.getRetryDelay(statusError(502), 2)).toBe(4000);
+    expect(client.getRetryDelay(statusError(400), 0)).toBe(null);
+  });
+
+  test('Honor the Retry-After header', () => {
+    expect(client.getRetryDelay(statusError(429, { 'retry-after': '5' }), 0)).toBe(5000);
+
+    const date = new Date(Date.now() + 60000).toUTCString();
+    const delay = client.getRetryDelay(statusError(429, { 'retry-after': date }), 0);
+    expect(delay).toBeGreaterThan(50000);
+    expect(delay).toBeLessThanOrEqual(60000);
+  });
+
+  test('Report tickets which failed after all retries', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    client.jira.findIssue = jest.fn((key) => (
+      Promise.reject((key === 'ENG-1') ? statusError(503) : statusError(404))
+    ));
+
+    await client.fetchJiraTicket('ENG-1').catch(() => {});
+    await client.fetchJiraTicket('ENG-2').catch(() => {});
+    expect(client.jira.findIssue).toBeCalledTimes(4);
+    expect(client.failedTickets).toEqual([{ key: 'ENG-1', error: 503 }]);
+    console.warn.mockRestore();
+  });
+});
+
+describe('Authentication', () => {
+  const authConfig = api => ({ ...config, jira: { ...config.jira, api: { host: 'jira.example.com', ...api } } });
+
+  test('Basic auth with email and token', () => {
+    const client = new Jira(authConfig({ email: 'za@example.com', token: 'abc' }));
+    expect(client.jira.baseOptions.auth).toEqual({ user: 'za@example.com', pass: 'abc' });
+  });
+
+  test('Personal access token', () => {
+    const client = new Jira(authConfig({ auth: 'bearer', token: 'pat' }));
+    expect(client.jira.baseOptions.auth).toMatchObject({ bearer: 'pat' });
+  });
+
+  test('OAuth', () => {
+    const client = new Jira(authConfig({
+      auth: 'oauth',
+      oauth: { consumerKey: 'changelog', privateKey: 'PEM', accessToken: 'tok', accessTokenSecret: 'secret' },
+    }));
+    expect(client.jira.baseOptions.oauth).toMatchObject({
+      consumer_key: 'changelog',
+      consumer_secret: 'PEM',
+      token: 'tok',
+      token_secret: 'secret',
+    });
+  });
+
+  test('Unknown auth type', () => {
+    expect(() => new Jira(authConfig({ auth: 'kerberos' }))).toThrow('Unknown Jira auth type');
+  });
+
+  test('Validate credentials', async () => {
+    const client = new Jira(authConfig({ auth: 'bearer', token: 'pat' }));
+    client.jira.getCurrentUser = jest.fn(() => Promise.resolve({ name: 'za' }));
+    expect(await client.validateCredentials()).toEqual({ name: 'za' });
+  });
+
+  test('Invalid credentials', async () => {
+    const client = new Jira(authConfig({ auth: 'bearer', token: 'pat' }));
+    client.jira.getCurrentUser = jest.fn(() => Promise.reject({ statusCode: 401 }));
+    await expect(client.validateCredentials()).rejects.toThrow('Jira rejected the bearer auth credentials for jira.example.com (401)');
+  });
 });
 
 describe('Filtering by ticket type', () => {
@@ -141,6 +444,59 @@ describe('Filtering by ticket type', () => {
   })
 });
 
+describe('Sub-tasks and epics', () => {
+  const SUBTASK = () => ({
+    key: 'ENG-124',
+    fields: {
+      issuetype: { name: 'Sub-task', subtask: true },
+      parent: { key: 'ENG-123' },
+    },
+  });
+
+  beforeEach(() => {
+    tixInJira = ['ENG-123'];
+    jira.config = { ...config, jira: { ...config.jira, rollUpSubtasks: true } };
+  });
+
+  test('sub-tasks are replaced by their parent', async () => {
+    const ticket = await jira.rollUpSubtask(SUBTASK());
+    expect(ticket.key).toBe('ENG-123');
+    expect(ticket.includedSubtasks.map(t => t.key)).toEqual(['ENG-124']);
+    expect(jira.fetchJiraTicket).toBeCalledWith('ENG-123');
+  });
+
+  test('sub-tasks are kept by default', async () => {
+    jira.config = config;
+    const ticket = await jira.rollUpSubtask(SUBTASK());
+    expect(ticket.key).toBe('ENG-124');
+  });
+
+  test('sub-tasks are kept when the parent cannot be loaded', async () => {
+    tixInJira = [];
+    const ticket = await jira.rollUpSubtask(SUBTASK());
+    expect(ticket.key).toBe('ENG-124');
+  });
+
+  test('epic from parent issue', async () => {
+    const parent = { key: 'ENG-1', fields: { issuetype: { name: 'Epic' } } };
+    const ticket = { key: 'ENG-123', fields: { parent } };
+    expect(await jira.findEpic(ticket)).toBe(parent);
+  });
+
+  test('epic from epic link field', async () => {
+    tixInJira = ['ENG-1'];
+    jira.config.jira.epicLinkField = 'customfield_10014';
+    const ticket = { key: 'ENG-123', fields: { customfield_10014: 'ENG-1' } };
+    const epic = await jira.findEpic(ticket);
+    expect(epic.key).toBe('ENG-1');
+  });
+
+  test('no epic', async () => {
+    const ticket = { key: 'ENG-123', fields: { parent: { key: 'ENG-2', fields: { issuetype: { name: 'Story' } } } } };
+    expect(await jira.findEpic(ticket)).toBeUndefined();
+  });
+});
+
 describe('Release version', () => {
   test('create new project version', async () => {
     const ver = await jira.createProjectVersion('test-version-1', 'project1');
@@ -176,6 +532,202 @@ describe('Release version', () => {
     expect(mockUpdateIssue.mock.calls[1][0]).toBe(876);
     expect(mockUpdateIssue.mock.calls[1][1].fields.fixVersions).toEqual([{ name: 'test-release-1'}]);
   });
+
+  test('dry run records changes instead of making them', async () => {
+    const dryRun = new DryRun();
+    const { getVersions, createVersion, updateIssue } = jira.jira;
+    jira = new Jira(config, dryRun);
+    Object.assign(jira.jira, { getVersions, createVersion, updateIssue });
+
+    const tickets = [
+      {id: 987, key: 'ENG-123', ...DEFAULT_TICKET()},
+    ]
+    await jira.addTicketsToReleaseVersion(tickets, 'test-release-1');
+
+    expect(createVersion).not.toHaveBeenCalled();
+    expect(updateIssue).not.toHaveBeenCalled();
+    expect(dryRun.actions.map(a => a.action)).toEqual(['createVersion', 'updateIssue']);
+    expect(jira.releaseVersions[0].name).toBe('test-release-1');
+  });
+});
+
+describe('Offline mode', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-changelog-'));
+    jira = new Jira({
+      ...config,
+      jira: {
+        ...config.jira,
+        offline: true,
+        cache: { dir },
+      },
+    });
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  test('tickets are served from the cache', async () => {
+    jira.cache.set('ENG-123', { key: 'ENG-123', ...DEFAULT_TICKET() });
+    const ticket = await jira.getJiraIssue('ENG-123');
+    expect(ticket.key).toBe('ENG-123');
+  });
+
+  test('missing tickets are reported', async () => {
+    await expect(jira.getJiraIssue('ENG-123')).rejects.toBeTruthy();
+    expect(jira.missingTickets).toEqual(['ENG-123']);
+  });
+
+  test('release versions are not changed', async () => {
+    jira.cache.set('ENG-123', { id: 1, key: 'ENG-123', ...DEFAULT_TICKET() });
+    jira.jira = { createVersion: jest.fn(), updateIssue: jest.fn(), addComment: jest.fn() };
+
+    const logs = await jira.generate([{ fullText: '[ENG-123] Foo' }], 'v1.0');
+    expect(logs[0].tickets.map(t => t.key)).toEqual(['ENG-123']);
+    expect(jira.releaseVersions).toEqual([]);
+    expect(jira.jira.createVersion).not.toHaveBeenCalled();
+    expect(jira.jira.updateIssue).not.toHaveBeenCalled();
+  });
+});
+
+describe('Release comments', () => {
+  const tickets = [
+    { id: 1, key: 'ENG-1' },
+    { id: 2, key: 'ENG-2' },
+  ];
+  const logs = [
+    { revision: 'abc1234567', tickets: [tickets[0]] },
+    { revision: 'def4567890', tickets: [tickets[0], tickets[1]] },
+  ];
+
+  beforeEach(() => {
+    config.jira.commentOnRelease = `Shipped in <%= version %> (commits <%= commits.map(c => c.revision.substr(0, 6)).join(', ') %>)`;
+  });
+  afterEach(() => {
+    config.jira.commentOnRelease = undefined;
+  });
+
+  test('comment on each ticket', async () => {
+    await jira.commentOnTickets(tickets, logs, 'v1.4.2');
+
+    expect(jira.jira.addComment).toBeCalledTimes(2);
+    expect(jira.jira.addComment).toBeCalledWith(1, 'Shipped in v1.4.2 (commits abc123, def456)');
+    expect(jira.jira.addComment).toBeCalledWith(2, 'Shipped in v1.4.2 (commits def456)');
+  });
+
+  test('skip tickets with an identical comment', async () => {
+    jira.jira.getComments = jest.fn((id) => Promise.resolve({
+      comments: (id === 1) ? [{ body: 'Shipped in v1.4.2 (commits abc123, def456)\n' }] : [],
+    }));
+    await jira.commentOnTickets(tickets, logs, 'v1.4.2');
+
+    expect(jira.jira.addComment).toBeCalledTimes(1);
+    expect(jira.jira.addComment.mock.calls[0][0]).toBe(2);
+  });
+
+  test('no comment template', async () => {
+    config.jira.commentOnRelease = undefined;
+    await jira.commentOnTickets(tickets, logs, 'v1.4.2');
+    expect(jira.jira.getComments).not.toHaveBeenCalled();
+  });
+});
+
+describe('Transition tickets', () => {
+  const ticket = (id, key, status) => ({
+    id, key,
+    fields: { status: { name: status } },
+  });
+
+  beforeEach(() => {
+    config.jira.transitionOnRelease = { 'done': 'Release', 'QA': 'Ship it' };
+  });
+  afterEach(() => {
+    config.jira.transitionOnRelease = {};
+  });
+
+  test('transition by current status', async () => {
+    const report = await jira.transitionTickets([
+      ticket(1, 'ENG-1', 'Done'),
+      ticket(2, 'ENG-2', 'In Progress'),
+    ]);
+
+    expect(jira.jira.transitionIssue).toBeCalledTimes(1);
+    expect(jira.jira.transitionIssue).toBeCalledWith(1, { transition: { id: '31' } });
+    expect(report).toEqual([
+      { key: 'ENG-1', from: 'Done', transition: 'Release', success: true },
+    ]);
+  });
+
+  test('report failed transitions', async () => {
+    const report = await jira.transitionTickets([
+      ticket(1, 'ENG-1', 'QA'),
+    ]);
+
+    expect(jira.jira.transitionIssue).not.toHaveBeenCalled();
+    expect(report[0].success).toBe(false);
+    expect(report[0].error).toContain('Ship it');
+  });
+});
+
+describe('Release lifecycle', () => {
+  const releaseConfig = config => ({
+    ...config,
+    jira: {
+      ...config.jira,
+      release: {
+        setReleaseDate: true,
+        description: true,
+        markReleased: true,
+        archivePrevious: true,
+      },
+    },
+  });
+
+  beforeEach(() => {
+    const { getVersions, updateVersion } = jira.jira;
+    jira = new Jira(releaseConfig(config));
+    Object.assign(jira.jira, { getVersions, updateVersion });
+    jira.releaseVersions = [{ id: '10', name: 'test-release-1', projectKey: 'proj1' }];
+  });
+
+  test('update release version', async () => {
+    await jira.updateReleaseVersions('  Release notes \n', {});
+
+    const update = jira.jira.updateVersion.mock.calls[0][0];
+    expect(update.id).toBe('10');
+    expect(update.released).toBe(true);
+    expect(update.description).toBe('Release notes');
+    expect(update.releaseDate).toBe(formatDay(new Date())); // Same local day as the changelog file
+  });
+
+  test('description function', async () => {
+    jira.config.jira.release.description = (content, data) => `${data.name}: ${content}`;
+    await jira.updateReleaseVersions('notes', { name: 'foo' });
+    expect(jira.jira.updateVersion.mock.calls[0][0].description).toBe('foo: notes');
+  });
+
+  test('archive previous versions', async () => {
+    jiraVersions = [
+      { id: '8', released: true, archived: true },
+      { id: '9', released: true, archived: false },
+      { id: '10', released: false, archived: false },
+      { id: '11', released: false, archived: false },
+    ];
+    await jira.updateReleaseVersions('notes', {});
+
+    const archived = jira.jira.updateVersion.mock.calls
+      .map(([data]) => data)
+      .filter(data => data.archived);
+    expect(archived).toEqual([{ id: '9', archived: true }]);
+  });
+
+  test('nothing to update', async () => {
+    jira.config.jira.release = {};
+    await jira.updateReleaseVersions('notes', {});
+    expect(jira.jira.updateVersion).not.toHaveBeenCalled();
+  });
 });
 
 // Pull it all together
@@ -0,0 +1,73 @@
+import { splitUpMessage, postWebhook, decodeEntities } from './messages';
+
+const MSG_SIZE_LIMIT = 16000;
+
+/**
+ * Manages the Mattermost integration.
+ * The changelog is posted with an incoming webhook.
+ */
+export default class Mattermost {
+
+  /**
+   * @param {Object} config - The configuration object
+   * @param {DryRun} dryRun - Record the messages to this object, instead of posting them.
+   */
+  constructor(config, dryRun=null) {
+    this.config = config;
+    this.dryRun = dryRun;
+  }
+
+  /**
+   * Is the Mattermost integration enabled
+   */
+  isEnabled() {
+    return !!(this.config.mattermost && this.config.mattermost.webhookUrl);
+  }
+
+  /**
+   * Post the changelog to the Mattermost channel.
+   *
+   * @param {String} content - The changelog content which was output by the command
+   * @param {Object} data - The data which generated the changelog content.
+   *
+   * @return {Promise} Resolves when the changelog has been sent
+   */
+  async notify(content, data) {
+    if (!this.isEnabled()) {
+      throw new Error('Mattermost is not configured.');
+    }
+    return this.postMessage(decodeEntities(content), this.config.mattermost.channel);
+  }
+
+  /**
+   * Post a message to a Mattermost channel.
+   * If the message is longer than Mattermost's limit, it will be cut into multiple messages.
+   *
+   * @param {String} text - The message to send
+   * @param {String} channel - The channel name to send the message to, instead of the webhook's default channel.
+   *
+   * @return {Promise} Resolves when message has sent
+   */
+  postMessage(text, channel) {
+    if (!text || !text.length) {
+      return Promise.reject('No text to send to Mattermost.');
+    }
+
+    const { webhookUrl, username, icon_url } = this.config.mattermost;
+    const chunks = splitUpMessage(text, MSG_SIZE_LIMIT);
+
+    return chunks.reduce((promise, chunk) => promise.then(() => {
+      const payload = { text: chunk, channel, username, icon_url };
+      if (this.dryRun) {
+        this.dryRun.record('mattermost', 'webhook', `Post message to ${channel || 'webhook channel'} (${chunk.length} characters)`, [payload]);
+        return { ok: true };
+      }
+      return postWebhook(webhookUrl, payload).then((response) => {
+        if (!response.ok) {
+          throw response.error;
+        }
+        return response;
+      });
+    }), Promise.resolve());
+  }
+}
@@ -0,0 +1,135 @@
+import fetch from 'node-fetch';
+
+/**
+ * Default API URLs for each pull request provider.
+ */
+export const PROVIDER_API_URLS = {
+  github: 'https://api.github.com',
+  gitlab: 'https://gitlab.com/api/v4',
+};
+
+/**
+ * Loads the details of pull requests (GitHub) and merge requests (GitLab)
+ * from the provider's API.
+ *
+ * Pull Request Object
+ * -------------------
+ * ```
+ * {
+ *   number:   {Number} The pull request number
+ *   provider: {String} 'github' or 'gitlab'
+ *
+ *   // Added from the API, when the client is configured
+ *   title:    {String} The pull request title
+ *   url:      {String} Web URL of the pull request
+ *   author:   {String} Username of the pull request author
+ *   state:    {String} 'open', 'closed' or 'merged'
+ * }
+ * ```
+ */
+export default class PullRequests {
+
+  /**
+   * @param {Object} config - The configuration object
+   */
+  constructor(config) {
+    this.config = config;
+    this.cache = {};
+  }
+
+  /**
+   * Is the API client configured.
+   */
+  isEnabled() {
+    const { provider, repository } = this.config.pullRequests || {};
+    return !!(PROVIDER_API_URLS[provider] && repository);
+  }
+
+  /**
+   * Call the provider's API.
+   *
+   * @param {String} path - The API endpoint path
+   * @return {Promise} Resolves to the response JSON
+   */
+  request(path) {
+    const { provider, token, apiUrl } = this.config.pullRequests;
+    const url = `${(apiUrl || PROVIDER_API_URLS[provider]).replace(/\/$/, '')}${path}`;
+
+    const headers = { Accept: 'application/json' };
+    if (token && provider === 'gitlab') {
+      headers['PRIVATE-TOKEN'] = token;
+    } else if (token) {
+      headers.Authorization = `token ${token}`;
+    }
+
+    return fetch(url, { headers })
+      .then((res) => {
+        if (!res.ok) {
+          throw new Error(`${url} responded with ${res.status} ${res.statusText}`);
+        }
+        return res.json();
+      });
+  }
+
+  /**
+   * Load the details of a pull request from the API.
+   *
+   * @param {Number} number - The pull request number
+   * @return {Promise} Resolves to the API details (see Pull Request Object above)
+   */
+  fetchPullRequest(number) {
+    const { provider, repository } = this.config.pullRequests;
+    if (this.cache[number]) {
+      return this.cache[number];
+    }
+
+    let promise;
+    if (provider === 'gitlab') {
+      promise = this.request(`/projects/${encodeURIComponent(repository)}/merge_requests/${number}`)
+        .then(mr => ({
+          title: mr.title,
+          url: mr.web_url,
+          author: mr.author && mr.author.username,
+          state: mr.state,
+        }));
+    } else {
+      promise = this.request(`/repos/${repository}/pulls/${number}`)
+        .then(pr => ({
+          title: pr.title,
+          url: pr.html_url,
+          author: pr.user && pr.user.login,
+          state: (pr.merged_at) ? 'merged' : pr.state,
+        }));
+    }
+
+    this.cache[number] = promise;
+    return promise;
+  }
+
+  /**
+   * Add the API details to the `pullRequest` of each commit log.
+   * Errors are logged and otherwise ignored.
+   *
+   * @param {Array} logs - List of commit logs
+   * @return {Promise} Resolves to the list of logs
+   */
+  async enrichCommitLogs(logs) {
+    if (!this.isEnabled()) {
+      return logs;
+    }
+
+    const { provider } = this.config.pullRequests;
+    const promises = logs
+      .filter(log => log.pullRequest && log.pullRequest.provider === provider)
+      .map(log => (
+        this.fetchPullRequest(log.pullRequest.number)
+          .then((details) => {
+            Object.assign(log.pullRequest, details);
+          })
+          .catch((err) => { console.warn(err.message || err); }) // ignore errors
+      ));
+
+    await Promise.all(promises);
+    return logs;
+  }
+}
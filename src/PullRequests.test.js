@@ -0,0 +1,75 @@
+import PullRequests from './PullRequests';
+import { getDefaultConfig } from './Config';
+
+const prConfig = pullRequests => ({
+  ...getDefaultConfig(),
+  pullRequests: { ...getDefaultConfig().pullRequests, ...pullRequests },
+});
+
+test('disabled without a provider and repository', async () => {
+  const client = new PullRequests(prConfig({}));
+  client.request = jest.fn();
+
+  const logs = [{ revision: '1', pullRequest: { number: 1, provider: 'github' } }];
+  await client.enrichCommitLogs(logs);
+  expect(client.isEnabled()).toBe(false);
+  expect(client.request).not.toHaveBeenCalled();
+});
+
+test('adds GitHub pull request details', async () => {
+  const client = new PullRequests(prConfig({ provider: 'github', repository: 'org/app' }));
+  client.request = jest.fn(() => Promise.resolve({
+    title: 'Add search',
+    html_url: 'https://github.com/org/app/pull/12',
+    user: { login: 'za' },
+    state: 'closed',
+    merged_at: '2020-02-04T16:02:36Z',
+  }));
+
+  const logs = [
+    { revision: '1', pullRequest: { number: 12, provider: 'github' } },
+    { revision: '2', pullRequest: { number: 12, provider: 'github' } },
+    { revision: '3', pullRequest: { number: 4, provider: 'gitlab' } },
+    { revision: '4', pullRequest: null },
+  ];
+  await client.enrichCommitLogs(logs);
+
+  expect(client.request).toBeCalledTimes(1);
+  expect(client.request).toBeCalledWith('/repos/org/app/pulls/12');
+  expect(logs[0].pullRequest).toEqual({
+    number: 12,
+    provider: 'github',
+    title: 'Add search',
+    url: 'https://github.com/org/app/pull/12',
+    author: 'za',
+    state: 'merged',
+  });
+  expect(logs[2].pullRequest).toEqual({ number: 4, provider: 'gitlab' });
+});
+
+test('adds GitLab merge request details', async () => {
+  const client = new PullRequests(prConfig({ provider: 'gitlab', repository: 'group/app' }));
+  client.request = jest.fn(() => Promise.resolve({
+    title: 'Add search',
+    web_url: 'https://gitlab.com/group/app/-/merge_requests/4',
+    author: { username: 'za' },
+    state: 'merged',
+  }));
+
+  const logs = [{ revision: '1', pullRequest: { number: 4, provider: 'gitlab' } }];
+  await client.enrichCommitLogs(logs);
+
+  expect(client.request).toBeCalledWith('/projects/group%2Fapp/merge_requests/4');
+  expect(logs[0].pullRequest.url).toBe('https://gitlab.com/group/app/-/merge_requests/4');
+});
+
+test('ignores API errors', async () => {
+  const client = new PullRequests(prConfig({ provider: 'github', repository: 'org/app' }));
+  client.request = jest.fn(() => Promise.reject(new Error('404 Not Found')));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const logs = [{ revision: '1', pullRequest: { number: 12, provider: 'github' } }];
+  await client.enrichCommitLogs(logs);
+  expect(logs[0].pullRequest).toEqual({ number: 12, provider: 'github' });
+  console.warn.mockRestore();
+});
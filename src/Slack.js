@@ -1,8 +1,16 @@
 import fetch from 'node-fetch';
+import ejs from 'ejs';
 import urlencoded from 'form-urlencoded';
+import _ from 'lodash';
+import { splitUpMessage, postWebhook } from './messages';
+import { buildSlackBlocks } from './slackBlocks';
 
 const API_ROOT = 'https://slack.com/api/';
 const MSG_SIZE_LIMIT = 4000;
+const MSG_BLOCK_LIMIT = 50;
+
+// Message metadata event type, used to find the messages posted for a release
+const METADATA_EVENT_TYPE = 'jira_changelog';
 
 // Cache of GET requests
 const cache = {};
@@ -15,16 +23,29 @@ const pending = {};
  */
 export default class Slack {
 
-  constructor(config) {
+  /**
+   * @param {Object} config - The configuration object
+   * @param {DryRun} dryRun - Record write operations to this object, instead of sending them to slack.
+   */
+  constructor(config, dryRun=null) {
     this.config = config;
+    this.dryRun = dryRun;
     this.slackUsers = false;
   }
 
   /**
-   * Is the slack integration enabled
+   * Is the slack integration enabled, with either an API token or an incoming webhook.
    */
   isEnabled() {
-    return (this.config.slack && this.config.slack.apiKey);
+    return !!(this.config.slack && (this.config.slack.apiKey || this.config.slack.webhookUrl));
+  }
+
+  /**
+   * Is there an API token, to call the slack web API.
+   * Without it, messages can only be posted with the incoming webhook.
+   */
+  hasApiToken() {
+    return !!(this.config.slack && this.config.slack.apiKey);
   }
 
   /**
@@ -33,15 +54,21 @@ export default class Slack {
    * @param {String} endpoint - The API endpoint name. (i.e 'users.list')
    * @param {String} method - The HTTP method to use (i.e. GET)
    * @param {Object} body - The request body for POST or PUT. This will be serialized to application/x-www-form-urlencoded
+   *                        For GET requests, this will be added to the query string.
    *
    * @return {Promise}
    */
   api(endpoint, method='GET', body=undefined) {
     const headers = {};
     const cachable = (method.toUpperCase() == 'GET');
-    const url = `${API_ROOT}/${endpoint}?token=${this.config.slack.apiKey}`;
+    let url = `${API_ROOT}/${endpoint}?token=${this.config.slack.apiKey}`;
 
-    if (!this.isEnabled()) {
+    if (cachable && typeof body === 'object') {
+      url = `${url}&${urlencoded(body)}`;
+      body = undefined;
+    }
+
+    if (!this.hasApiToken()) {
       return Promise.reject('The slack API is not configured.');
     }
 
@@ -71,6 +98,48 @@ export default class Slack {
     return pending[url];
   }
 
+  /**
+   * Post a message with the incoming webhook.
+   * The response is normalized to look like a web API response.
+   *
+   * @param {Object} body - The message payload
+   *
+   * @return {Promise}
+   */
+  webhook(body) {
+    const payload = { ...body };
+    delete payload.channel; // webhooks are bound to a single channel
+
+    return postWebhook(this.config.slack.webhookUrl, payload);
+  }
+
+  /**
+   * Make an API call which changes data in slack (i.e. posting a message).
+   * Messages are posted with the incoming webhook, when there is no API token.
+   * In dry-run mode, the call is recorded instead and resolves to a successful response.
+   *
+   * @param {String} endpoint - The API endpoint name. (i.e 'chat.postMessage')
+   * @param {String} description - Human readable description of the change
+   * @param {Object} body - The request body
+   *
+   * @return {Promise}
+   */
+  writeApi(endpoint, description, body) {
+    if (this.dryRun) {
+      this.dryRun.record('slack', endpoint, description, [body]);
+      return Promise.resolve({ ok: true });
+    }
+    if (!this.hasApiToken() && endpoint === 'chat.postMessage') {
+      return this.webhook(body);
+    }
+
+    // Nested values (i.e. blocks) are sent as JSON strings
+    const formBody = _.mapValues(body, v => (
+      (v && typeof v === 'object') ? JSON.stringify(v) : v
+    ));
+    return this.api(endpoint, 'POST', formBody);
+  }
+
   /**
    * Load all the slack users.
    *
@@ -78,8 +147,8 @@ export default class Slack {
    */
   getSlackUsers() {
 
-    // No slack integration
-    if (!this.isEnabled()) {
+    // No slack API access
+    if (!this.hasApiToken()) {
       return Promise.resolve([]);
     }
 
@@ -131,16 +200,244 @@ export default class Slack {
     });
   }
 
+  /**
+   * Post the changelog to the configured slack channel (or webhook).
+   * This is the notifier interface used by `--slack` and `--notify slack`.
+   *
+   * With `slack.updateExisting`, the messages posted for the same release in a previous
+   * run are edited, instead of posting new messages.
+   *
+   * @param {String} content - The changelog content which was output by the command
+   * @param {Object} data - The data which generated the changelog content.
+   *
+   * @return {Promise} Resolves when the changelog has been sent
+   */
+  async notify(content, data) {
+    const { blocks, threaded, updateExisting } = this.config.slack;
+    let { channel } = this.config.slack;
+    if (!this.isEnabled() || (this.hasApiToken() && !channel)) {
+      throw new Error('Slack is not configured.');
+    }
+
+    // Messages are tagged with the release name, so they can be found again
+    const { releaseVersions } = data.jira;
+    const release = (releaseVersions && releaseVersions.length) ? releaseVersions[0].name : null;
+    const metadata = (release && this.hasApiToken()) ? { release } : undefined;
+
+    // Find the messages posted for this release in a previous run
+    let previous = { summary: undefined, changelog: [] };
+    if (updateExisting && !metadata) {
+      console.warn('WARNING: Updating the slack message requires an API key and a release version. Posting a new message.');
+    }
+    else if (updateExisting) {
+      channel = await this.getChannelId(channel);
+      previous = await this.findReleaseMessages(channel, release);
+    }
+
+    // Post a summary message, and the changelog in its thread
+    let parent;
+    const options = {
+      existing: previous.changelog,
+      metadata: metadata && { ...metadata, part: 'changelog' },
+    };
+    if (threaded && !this.hasApiToken()) {
+      console.warn('WARNING: Slack threads require an API key. Posting without a thread.');
+    }
+    else if (threaded) {
+      parent = await this.postSummary(data, channel, {
+        existing: (previous.summary) ? [previous.summary] : [],
+        metadata: metadata && { ...metadata, part: 'summary' },
+      });
+      channel = parent.channel || channel;
+      options.thread_ts = parent.ts;
+      if (!previous.summary) {
+        options.existing = [];
+      }
+    }
+
+    // Post Block Kit message
+    if (blocks) {
+      const text = (release) ? `Release ${release}` : 'Changelog';
+      await this.postBlocks(buildSlackBlocks(data), channel, text, options);
+    }
+    else {
+      // Transform for slack
+      if (typeof this.config.transformForSlack == 'function') {
+        content = await Promise.resolve(this.config.transformForSlack(content, data));
+      }
+      await this.postMessage(content, channel, options);
+    }
+
+    // Link to the thread
+    if (parent && parent.ts) {
+      const permalink = await this.getPermalink(channel, parent.ts);
+      return { ...parent, permalink };
+    }
+    return parent || {};
+  }
+
+  /**
+   * Send a direct message to the reporter of each pending ticket, listing their own tickets
+   * that are awaiting approval. The message is rendered from the `slack.pendingTemplate` config.
+   *
+   * Report Object
+   * -------------
+   * ```
+   * {
+   *   sent:      [], // owners (from `tickets.pendingByOwner`) who were sent a message
+   *   unmatched: [], // owners who could not be matched to a slack user
+   *   failed:    [], // owners where the message could not be sent, with an `error` property
+   * }
+   * ```
+   *
+   * @param {Object} data - The data which generated the changelog content.
+   *
+   * @return {Promise} Resolves to the report object
+   */
+  async notifyPendingOwners(data) {
+    if (!this.hasApiToken()) {
+      throw new Error('Slack direct messages require an API key.');
+    }
+
+    const report = { sent: [], unmatched: [], failed: [] };
+    for (const owner of data.tickets.pendingByOwner) {
+      if (!owner.slackUser) {
+        report.unmatched.push(owner);
+        continue;
+      }
+
+      const text = ejs.render(this.config.slack.pendingTemplate, { owner, jira: data.jira }).trim();
+      try {
+        await this.postMessage(text, owner.slackUser.id);
+        report.sent.push(owner);
+      } catch(err) {
+        report.failed.push({ ...owner, error: err });
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Post the changelog summary message, which is rendered from the `slack.summaryTemplate` config.
+   *
+   * @param {Object} data - The data which generated the changelog content.
+   * @param {String} channel - The slack channel ID to send the message to. (i.e. `#engineering`)
+   * @param {Object} options - Message options (see `sendMessages`)
+   *
+   * @return {Promise} Resolves to the chat.postMessage response
+   */
+  postSummary(data, channel, options={}) {
+    const summary = ejs.render(this.config.slack.summaryTemplate, data).trim();
+    return this.postMessage(summary, channel, options);
+  }
+
+  /**
+   * Get the permalink URL to a message.
+   *
+   * @param {String} channel - The slack channel ID the message is in
+   * @param {String} ts - The message timestamp ID
+   *
+   * @return {Promise} Resolves to the URL or undefined
+   */
+  getPermalink(channel, ts) {
+    return this.api('chat.getPermalink', 'GET', { channel, message_ts: ts })
+    .then(response => (response && response.ok) ? response.permalink : undefined)
+    .catch(() => undefined);
+  }
+
+  /**
+   * Get the ID of a channel by name.
+   *
+   * @param {String} channel - The channel name (i.e. `#engineering`) or ID
+   *
+   * @return {Promise} Resolves to the channel ID, or the original value if it wasn't found
+   */
+  async getChannelId(channel) {
+    if (/^[CGD][A-Z0-9]{6,}$/.test(channel)) {
+      return channel;
+    }
+
+    const name = channel.replace(/^#/, '');
+    let cursor;
+    do {
+      const response = await this.api('conversations.list', 'GET', {
+        cursor,
+        types: 'public_channel,private_channel',
+        exclude_archived: true,
+        limit: 1000,
+      });
+      if (!response || !response.ok) {
+        break;
+      }
+
+      const found = response.channels.find(c => c.name === name);
+      if (found) {
+        return found.id;
+      }
+      cursor = response.response_metadata && response.response_metadata.next_cursor;
+    } while (cursor);
+
+    return channel;
+  }
+
+  /**
+   * Find the messages which were posted for a release, by their metadata.
+   * The changelog messages are looked up in the channel and in the summary message thread.
+   *
+   * @param {String} channel - The slack channel ID
+   * @param {String} release - The release version name
+   *
+   * @return {Promise} Resolves to `{ summary: <ts>, changelog: [<ts>, ...] }`
+   */
+  async findReleaseMessages(channel, release) {
+    const found = { summary: undefined, changelog: [] };
+    const isRelease = ({ metadata }) => (
+      metadata && metadata.event_type === METADATA_EVENT_TYPE
+      && metadata.event_payload && metadata.event_payload.release === release
+    );
+
+    const history = await this.api('conversations.history', 'GET', {
+      channel,
+      limit: 200,
+      include_all_metadata: true,
+    });
+    if (!history || !history.ok) {
+      console.warn('WARNING: Could not load the slack channel history:', (history) ? history.error : 'No response from server');
+      return found;
+    }
+    let messages = history.messages.filter(isRelease);
+
+    // Thread replies
+    const summary = messages.find(m => m.metadata.event_payload.part === 'summary');
+    if (summary) {
+      found.summary = summary.ts;
+      const replies = await this.api('conversations.replies', 'GET', {
+        channel,
+        ts: summary.ts,
+        include_all_metadata: true,
+      });
+      if (replies && replies.ok) {
+        messages = messages.concat(replies.messages.filter(isRelease));
+      }
+    }
+
+    const changelog = messages.filter(m => m.metadata.event_payload.part === 'changelog');
+    found.changelog = _.sortBy(_.uniqBy(changelog, 'ts'), m => m.metadata.event_payload.index)
+      .map(m => m.ts);
+    return found;
+  }
+
   /**
    * Post a message to a slack channel.
    * If the message is longer than slack's limit, it will be cut into multiple messages.
    *
    * @param {String} text - The message to send to slack
    * @param {String} channel - The slack channel ID to send the message to. (i.e. `#engineering`)
+   * @param {Object} options - Message options (see `sendMessages`)
    *
    * @return {Promise} Resolves when message has sent
    */
-  postMessage(text, channel) {
+  postMessage(text, channel, options={}) {
 
     // No message
     if (!text || !text.length) {
@@ -153,90 +450,114 @@ export default class Slack {
     }
 
     const chunks = this.splitUpMessage(text);
+    return this.sendMessages(channel, chunks.map(chunk => ({ text: chunk, parse: 'full' })), options);
+  }
 
-    // Send all message chunks
-    const sendPromise = chunks.reduce((promise, text) => {
-      return promise.then(() => sendChunk(text));
-    }, Promise.resolve());
+  /**
+   * Post a Block Kit message to a slack channel.
+   * If there are more blocks than slack's limit, it will be cut into multiple messages.
+   *
+   * @param {Array} blocks - The list of Block Kit blocks to send
+   * @param {String} channel - The slack channel ID to send the message to. (i.e. `#engineering`)
+   * @param {String} text - Fallback text for notifications
+   * @param {Object} options - Message options (see `sendMessages`)
+   *
+   * @return {Promise} Resolves when message has sent
+   */
+  postBlocks(blocks, channel, text='Changelog', options={}) {
 
-    // Sends a single message to the channel and returns a promise
-    const self = this;
-    function sendChunk(text) {
-      return self.api('chat.postMessage', 'POST',
-        {
-          text,
-          channel,
-          parse: 'full',
-          username: self.config.slack.username,
-          icon_emoji: self.config.slack.icon_emoji,
-          icon_url: self.config.slack.icon_url
-        }).then((response) => {
-          if (response && !response.ok) {
-            throw response.error;
-          }
-          return response;
-        }
-      );
+    // No message
+    if (!blocks || !blocks.length) {
+      return Promise.reject('No blocks to send to slack.');
     }
 
-    return sendPromise;
+    // No slack integration
+    if (!this.isEnabled()) {
+      return Promise.resolve({});
+    }
+
+    const chunks = this.splitUpBlocks(blocks);
+    return this.sendMessages(channel, chunks.map(chunk => ({ text, blocks: chunk })), options);
   }
 
   /**
-   * Cut a message into chunks that fit Slack's message length limits.
-   * The text will be divided by newline characters, where possible.
+   * Send a list of messages to a slack channel, in order.
    *
-   * @param {String} text - The message text to split up.
+   * @param {String} channel - The slack channel ID to send the messages to.
+   * @param {Array} messages - List of message contents (`text`, `blocks`, etc)
+   * @param {Object} options
+   * @param {Array} options.existing - Timestamps of previously posted messages to edit, instead of posting new ones.
+   *                                   Any which are left over are deleted.
+   * @param {Object} options.metadata - Metadata payload to attach to each message (the message index is added to it).
+   * @param {...*} options - Any other chat.postMessage arguments (i.e. `thread_ts`)
    *
-   * @return {Array}
+   * @return {Promise} Resolves to the response of the last message
    */
-  splitUpMessage(text) {
-    if (text.length <= MSG_SIZE_LIMIT) {
-      return [text];
-    }
-
-    const lines = text.split('\n');
-    const messages = [];
-    const continuation = '...';
-    const limit = MSG_SIZE_LIMIT - continuation.length;
-    let block = '';
-
-    lines.forEach((line) => {
-      const tmpBlock = `${block}${line}\n`;
+  sendMessages(channel, messages, { existing=[], metadata=undefined, ...options }={}) {
+    const { username, icon_emoji, icon_url } = this.config.slack;
+    const checkResponse = (response) => {
+      if (response && !response.ok) {
+        throw response.error;
+      }
+      return response;
+    };
+
+    const sendPromise = messages.reduce((promise, message, index) => promise.then(() => {
+      const size = (message.blocks) ? `${message.blocks.length} blocks` : `${message.text.length} characters`;
+      const body = { channel, ...message };
+      if (metadata) {
+        body.metadata = {
+          event_type: METADATA_EVENT_TYPE,
+          event_payload: { ...metadata, index },
+        };
+      }
 
-      // Within size limit
-      if (tmpBlock.length <= MSG_SIZE_LIMIT) {
-        block = tmpBlock;
+      // Edit existing message
+      const ts = existing[index];
+      if (ts) {
+        return this.writeApi('chat.update', `Update message ${ts} in ${channel} (${size})`, { ...body, ts })
+          .then(checkResponse);
       }
-      // Bigger than size limit
-      else {
-
-        // Add last block and start new one
-        if (block.length) {
-          messages.push(block);
-          block = line;
-        }
-
-        // No existing block, this line must be loner than the limit
-        else {
-          while (line.length > 0) {
-            let last = line.substr(0, limit).trim();
-            line = line.substr(limit).trim();
-
-            // Add continuation characters
-            if (line.length) {
-              last += continuation;
-              line = `${continuation}${line}`;
-            }
-            messages.push(last);
-          }
-        }
+
+      return this.writeApi('chat.postMessage', `Post message to ${channel} (${size})`, {
+        ...body,
+        username,
+        icon_emoji,
+        icon_url,
+        ...options,
+      }).then(checkResponse);
+    }), Promise.resolve());
+
+    // Remove previous messages which are no longer needed
+    return sendPromise.then(async (response) => {
+      for (const ts of existing.slice(messages.length)) {
+        await this.writeApi('chat.delete', `Delete message ${ts} in ${channel}`, { channel, ts })
+          .then(checkResponse);
       }
+      return response;
     });
-    if (block) {
-      messages.push(block);
-    }
+  }
 
-    return messages;
+  /**
+   * Cut a list of blocks into chunks that fit Slack's blocks per message limit.
+   *
+   * @param {Array} blocks - The list of blocks to split up.
+   *
+   * @return {Array} List of block lists
+   */
+  splitUpBlocks(blocks) {
+    return _.chunk(blocks, MSG_BLOCK_LIMIT);
+  }
+
+  /**
+   * Cut a message into chunks that fit Slack's message length limits.
+   * The text will be divided by newline characters, where possible.
+   *
+   * @param {String} text - The message text to split up.
+   *
+   * @return {Array}
+   */
+  splitUpMessage(text) {
+    return splitUpMessage(text, MSG_SIZE_LIMIT);
   }
 }
@@ -0,0 +1,214 @@
+import Slack from './Slack';
+import { getDefaultConfig } from './Config';
+
+const slackConfig = slack => ({
+  ...getDefaultConfig(),
+  slack: { ...getDefaultConfig().slack, ...slack },
+});
+
+test('split blocks into messages', () => {
+  const slack = new Slack(getDefaultConfig());
+  const blocks = Array.from({ length: 120 }, (v, i) => ({ type: 'divider', i }));
+  const chunks = slack.splitUpBlocks(blocks);
+  expect(chunks.map(c => c.length)).toEqual([50, 50, 20]);
+});
+
+describe('Incoming webhook', () => {
+  let slack;
+  beforeEach(() => {
+    slack = new Slack(slackConfig({ webhookUrl: 'https://hooks.slack.com/services/T0/B0/X' }));
+    slack.webhook = jest.fn(() => Promise.resolve({ ok: true }));
+    slack.api = jest.fn(() => Promise.resolve({ ok: true }));
+  });
+
+  test('enabled without an API token', () => {
+    expect(slack.isEnabled()).toBe(true);
+    expect(slack.hasApiToken()).toBe(false);
+  });
+
+  test('messages are posted to the webhook', async () => {
+    const text = `${'a'.repeat(3000)}\n${'b'.repeat(3000)}`;
+    await slack.postMessage(text, '#changelog');
+
+    expect(slack.api).not.toHaveBeenCalled();
+    expect(slack.webhook).toBeCalledTimes(2);
+    expect(slack.webhook.mock.calls[0][0].text).toContain('aaa');
+  });
+
+  test('blocks are posted as objects', async () => {
+    await slack.postBlocks([{ type: 'divider' }], '#changelog');
+    expect(slack.webhook.mock.calls[0][0].blocks).toEqual([{ type: 'divider' }]);
+  });
+
+  test('users are not looked up', async () => {
+    expect(await slack.getSlackUsers()).toEqual([]);
+    expect(await slack.findUser('za@nowhere.com', 'Za')).toBeUndefined();
+    expect(slack.api).not.toHaveBeenCalled();
+  });
+
+  test('API token is used, when available', async () => {
+    slack.config.slack.apiKey = 'xoxb-123';
+    await slack.postBlocks([{ type: 'divider' }], '#changelog');
+
+    expect(slack.webhook).not.toHaveBeenCalled();
+    expect(slack.api.mock.calls[0][0]).toBe('chat.postMessage');
+    expect(slack.api.mock.calls[0][2].blocks).toBe('[{"type":"divider"}]');
+  });
+});
+
+describe('Threaded posting', () => {
+  const DATA = () => ({
+    jira: { releaseVersions: [{ name: 'v1.2.0' }] },
+    commits: { noTickets: [{}] },
+    tickets: { all: [{}, {}], pending: [{}] },
+  });
+
+  let slack;
+  beforeEach(() => {
+    slack = new Slack(slackConfig({ apiKey: 'xoxb-123', channel: '#changelog', threaded: true }));
+    slack.api = jest.fn((endpoint) => {
+      if (endpoint === 'chat.getPermalink') {
+        return Promise.resolve({ ok: true, permalink: 'https://example.slack.com/archives/C123/p1' });
+      }
+      return Promise.resolve({ ok: true, ts: '1.1', channel: 'C123' });
+    });
+  });
+
+  test('summary parent message with changelog in thread', async () => {
+    const result = await slack.notify('The changelog', DATA());
+    const [summary, changelog] = slack.api.mock.calls;
+
+    expect(summary[2].text).toBe('*Release v1.2.0*: 2 Jira tickets, 1 other commits, 1 pending approval');
+    expect(summary[2].thread_ts).toBeUndefined();
+    expect(changelog[2].text).toBe('The changelog');
+    expect(changelog[2].channel).toBe('C123');
+    expect(changelog[2].thread_ts).toBe('1.1');
+    expect(result.permalink).toBe('https://example.slack.com/archives/C123/p1');
+  });
+
+  test('not threaded with a webhook', async () => {
+    slack = new Slack(slackConfig({ webhookUrl: 'https://hooks.slack.com/services/T0/B0/X', threaded: true }));
+    slack.webhook = jest.fn(() => Promise.resolve({ ok: true }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await slack.notify('The changelog', DATA());
+    expect(slack.webhook).toBeCalledTimes(1);
+    expect(slack.webhook.mock.calls[0][0].text).toBe('The changelog');
+    console.warn.mockRestore();
+  });
+});
+
+describe('Update existing message', () => {
+  const DATA = () => ({
+    jira: { releaseVersions: [{ name: 'v1.2.0' }] },
+    commits: { noTickets: [] },
+    tickets: { all: [], pending: [] },
+  });
+  const message = (ts, release, part, index) => ({
+    ts,
+    metadata: {
+      event_type: 'jira_changelog',
+      event_payload: { release, part, index },
+    },
+  });
+
+  let slack;
+  let history;
+  beforeEach(() => {
+    history = [];
+    slack = new Slack(slackConfig({ apiKey: 'xoxb-123', channel: '#changelog', updateExisting: true }));
+    slack.api = jest.fn((endpoint) => {
+      switch (endpoint) {
+        case 'conversations.list':
+          return Promise.resolve({ ok: true, channels: [{ id: 'C1234567', name: 'changelog' }] });
+        case 'conversations.history':
+          return Promise.resolve({ ok: true, messages: history });
+        default:
+          return Promise.resolve({ ok: true, ts: '9.9', channel: 'C1234567' });
+      }
+    });
+  });
+
+  const calls = endpoint => slack.api.mock.calls.filter(c => c[0] === endpoint).map(c => c[2]);
+
+  test('edits the previous message for the release', async () => {
+    history = [
+      message('1.1', 'v1.1.0', 'changelog', 0),
+      message('2.2', 'v1.2.0', 'changelog', 0),
+      { ts: '3.3' },
+    ];
+    await slack.notify('The changelog', DATA());
+
+    expect(calls('chat.postMessage')).toEqual([]);
+    expect(calls('chat.update').length).toBe(1);
+    expect(calls('chat.update')[0]).toMatchObject({ channel: 'C1234567', ts: '2.2', text: 'The changelog' });
+  });
+
+  test('deletes left over messages', async () => {
+    history = [
+      message('2.3', 'v1.2.0', 'changelog', 1),
+      message('2.2', 'v1.2.0', 'changelog', 0),
+    ];
+    await slack.notify('The changelog', DATA());
+
+    expect(calls('chat.update')[0].ts).toBe('2.2');
+    expect(calls('chat.delete')).toEqual([{ channel: 'C1234567', ts: '2.3' }]);
+  });
+
+  test('posts a new message, when not found', async () => {
+    history = [message('1.1', 'v1.1.0', 'changelog', 0)];
+    await slack.notify('The changelog', DATA());
+
+    expect(calls('chat.update')).toEqual([]);
+    const [posted] = calls('chat.postMessage');
+    expect(posted.text).toBe('The changelog');
+    expect(JSON.parse(posted.metadata)).toEqual({
+      event_type: 'jira_changelog',
+      event_payload: { release: 'v1.2.0', part: 'changelog', index: 0 },
+    });
+  });
+});
+
+describe('Notify pending owners', () => {
+  const owners = [
+    { email: 'za@za.com', name: 'Za', slackUser: { id: 'U1', name: 'za' }, tickets: [{ key: 'ENG-1', fields: { summary: 'Fix login' } }] },
+    { email: 'tom@tom.com', name: 'Thomas', slackUser: null, tickets: [{ key: 'ENG-2', fields: { summary: 'Add search' } }] },
+  ];
+  const DATA = () => ({
+    jira: { baseUrl: 'https://example.atlassian.net', releaseVersions: [{ name: 'v1.2.0' }] },
+    tickets: { pendingByOwner: owners },
+  });
+
+  test('messages each matched reporter', async () => {
+    const slack = new Slack(slackConfig({ apiKey: 'xoxb-1' }));
+    slack.api = jest.fn(() => Promise.resolve({ ok: true }));
+
+    const report = await slack.notifyPendingOwners(DATA());
+    expect(slack.api).toBeCalledTimes(1);
+
+    const [endpoint, method, body] = slack.api.mock.calls[0];
+    expect(endpoint).toBe('chat.postMessage');
+    expect(method).toBe('POST');
+    expect(body.channel).toBe('U1');
+    expect(body.text).toContain('for v1.2.0');
+    expect(body.text).toContain('Fix login https://example.atlassian.net/browse/ENG-1');
+    expect(body.text).not.toContain('ENG-2');
+
+    expect(report.sent.map(o => o.email)).toEqual(['za@za.com']);
+    expect(report.unmatched.map(o => o.email)).toEqual(['tom@tom.com']);
+  });
+
+  test('reports failed messages', async () => {
+    const slack = new Slack(slackConfig({ apiKey: 'xoxb-1' }));
+    slack.api = jest.fn(() => Promise.reject(new Error('channel_not_found')));
+
+    const report = await slack.notifyPendingOwners(DATA());
+    expect(report.sent).toEqual([]);
+    expect(report.failed[0].error.message).toBe('channel_not_found');
+  });
+
+  test('requires an API key', async () => {
+    const slack = new Slack(slackConfig({ webhookUrl: 'https://hooks.slack.com/services/T0/B0/X' }));
+    await expect(slack.notifyPendingOwners(DATA())).rejects.toThrow('API key');
+  });
+});
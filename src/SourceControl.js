@@ -1,6 +1,26 @@
 import Slack from './Slack';
+import PullRequests from './PullRequests';
+import { combineFileChanges } from './paths';
 import git from 'simple-git';
 
+/**
+ * The `git log` format of each commit field.
+ */
+const LOG_FORMAT = {
+  revision: '%H',
+  date: '%ai',
+  summary: '%s%d',
+  fullText: '%s\n%d\n%b',
+  authorName: '%aN',
+  authorEmail: '%ae',
+  parents: '%P',
+  decorations: '%D',
+};
+
+// Control characters used to split up the git log output
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
 /**
  * Connect to the source control system and return commit logs for a range.
  * Currenty this only connects to git.
@@ -30,15 +50,31 @@ import git from 'simple-git';
  *   fullText: <full commit message>,
  *   authorName: <name of commit author>,
  *   authorEmail: <email of commit author>,
- *   slackUser: <object of slack user, as matched by authorEmail>
+ *   branches: <branch names which were merged by, or point to, this commit>,
+ *   files: <files changed by this commit, and the commits it merged (see File Object)>,
+ *   slackUser: <object of slack user, as matched by authorEmail>,
+ *   pullRequest: <pull request merged by this commit, or null (see PullRequests)>,
+ *   conventional: <parsed Conventional Commit header, or null (see parseConventionalCommit)>
  * }
  * ```
  *
+ * File Object
+ * -----------
+ * ```
+ * {
+ *   path: <file path, relative to the workspace root>,
+ *   status: <'A' (added), 'M' (modified), 'D' (deleted) or 'T' (type changed)>,
+ *   additions: <number of lines added, or null for binary files>,
+ *   deletions: <number of lines deleted, or null for binary files>
+ * }
+ * ```
+ * Renamed files are listed as a deletion and an addition.
  */
 export default class SourceControl {
 
   constructor(config) {
     this.slack = new Slack(config);
+    this.pullRequests = new PullRequests(config);
   }
 
   /**
@@ -51,51 +87,312 @@ export default class SourceControl {
    * @return {Promsie} Resolves to a list of top-level commit objects
    */
   getCommitLogs(workspaceDir, range) {
-    const workspace = git(workspaceDir);
+    return this.readGitLog(workspaceDir, range).then((commits) => {
 
-    return new Promise((resolve, reject) => {
+      // Organize commits
+      const graph = this.simpleTopLevelGraph(commits);
+      graph.forEach((log) => {
+        log.pullRequest = this.parsePullRequest(log);
+        log.graph.merged.forEach((merged) => {
+          merged.conventional = this.parseConventionalCommit(merged);
+        });
+        log.conventional = this.mergeConventionalCommits(log);
+      });
+      const logs = this.consolodateCommitMessages(graph);
 
-      const opts = {
-        format: {
-          revision: '%H',
-          date: '%ai',
-          summary: '%s%d',
-          fullText: '%s\n%d\n%b',
-          authorName: '%aN',
-          authorEmail: '%ae',
-          parents: '%P'
-        },
-        ...range,
-        symmetric: range.symmetric,
-      }
+      // Add slack users to commit logs
+      const promises = logs.map((log) => {
+        return this.slack.findUser(log.authorEmail, log.authorName)
+          .catch((err) => { console.warn(err); }) // ignore errors
+          .then((slackUser) => {
+            log.slackUser = slackUser;
+            return log;
+          });
+      });
+      promises.push(this.pullRequests.enrichCommitLogs(logs));
+
+      return Promise.all(promises).then(() => logs);
+    });
+  }
+
+  /**
+   * Run `git log` for a range and return the commits, with the files each one changed.
+   *
+   * @param {String} dir The source control workspace directory.
+   * @param {Object} range An object defining the range boundaries (see above)
+   *
+   * @return {Promsie} Resolves to a list of commit objects
+   */
+  readGitLog(workspaceDir, range) {
+    const { from, to, symmetric, after, before } = range;
 
-      workspace.log(opts, (err, response) => {
+    const format = Object.values(LOG_FORMAT).join(FIELD_SEPARATOR);
+    const args = [
+      '-c', 'core.quotePath=false',
+      'log', `--format=${RECORD_SEPARATOR}${format}${FIELD_SEPARATOR}`, '--raw', '--numstat', '--no-renames',
+    ];
+    if (from) {
+      args.push(`${from}${(symmetric) ? '...' : '..'}${to || 'HEAD'}`);
+    } else if (to) {
+      args.push(to);
+    }
+    if (after) {
+      args.push(`--after=${after}`);
+    }
+    if (before) {
+      args.push(`--before=${before}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      git(workspaceDir).raw(args, (err, output) => {
         if (err) {
           return reject(err);
         }
+        resolve(this.parseGitLog(output || ''));
+      });
+    });
+  }
+
+  /**
+   * Parse the output of `readGitLog` into commit objects.
+   * Each commit has the fields of `LOG_FORMAT` and the list of `files` it changed,
+   * from the `--raw` (status) and `--numstat` (line counts) lines.
+   *
+   * @param {String} output - The git log output
+   * @return {Array}
+   */
+  parseGitLog(output) {
+    const fields = Object.keys(LOG_FORMAT);
 
-        // Organize commits
-        const graph = this.simpleTopLevelGraph(response.all);
-        const logs = this.consolodateCommitMessages(graph);
-
-        // Add slack users to commit logs
-        const promises = logs.map((log) => {
-          return this.slack.findUser(log.authorEmail, log.authorName)
-            .catch((err) => { console.log(err); }) // ignore errors
-            .then((slackUser) => {
-              log.slackUser = slackUser;
-              return log;
-            });
+    return output
+      .split(RECORD_SEPARATOR)
+      .filter(record => record.trim())
+      .map((record) => {
+        const values = record.split(FIELD_SEPARATOR);
+        const commit = {};
+        fields.forEach((field, i) => {
+          commit[field] = values[i] || '';
         });
-        promises.push(Promise.resolve());
 
-        Promise.all(promises).then(() => {
-          resolve(logs);
+        const files = {};
+        const getFile = path => (files[path] = files[path] || { path, status: 'M', additions: 0, deletions: 0 });
+        (values[fields.length] || '').split('\n').forEach((line) => {
+          const raw = line.match(/^:\S+ \S+ \S+ \S+ ([A-Z])[0-9]*\t(.+)$/);
+          const numstat = line.match(/^([0-9]+|-)\t([0-9]+|-)\t(.+)$/);
+          if (raw) {
+            getFile(raw[2]).status = raw[1];
+          } else if (numstat) {
+            const file = getFile(numstat[3]);
+            file.additions = (numstat[1] === '-') ? null : Number(numstat[1]);
+            file.deletions = (numstat[2] === '-') ? null : Number(numstat[2]);
+          }
         });
+
+        commit.files = Object.values(files);
+        return commit;
+      });
+  }
+
+  /**
+   * Find the most recent tag which is reachable from the parent of a revision.
+   * The parent is used, so a tag on the revision itself (i.e. the release being
+   * generated) is not returned.
+   *
+   * @param {String} workspaceDir - The source control workspace directory.
+   * @param {String} to - The revision the changelog goes to.
+   * @param {String} pattern - Only match tags with this glob pattern (i.e. 'v*')
+   *
+   * @return {Promise} Resolves to the tag name
+   */
+  getLatestTag(workspaceDir, to='HEAD', pattern=null) {
+    const args = ['describe', '--tags', '--abbrev=0'];
+    if (pattern) {
+      args.push('--match', pattern);
+    }
+    args.push(`${to}^`);
+
+    return new Promise((resolve, reject) => {
+      git(workspaceDir).silent(true).raw(args, (err, output) => {
+        const tag = (output || '').trim();
+        if (err || !tag) {
+          const match = (pattern) ? ` matching '${pattern}'` : '';
+          return reject(new Error(`Could not find a tag${match} before ${to}.`));
+        }
+        resolve(tag);
+      });
+    });
+  }
+
+  /**
+   * Does a tag exist.
+   *
+   * @param {String} workspaceDir - The source control workspace directory.
+   * @param {String} name - The tag name
+   *
+   * @return {Promise} Resolves to a boolean
+   */
+  hasTag(workspaceDir, name) {
+    return new Promise((resolve) => {
+      git(workspaceDir).silent(true).raw(['rev-parse', '-q', '--verify', `refs/tags/${name}`], (err, output) => {
+        resolve(!err && !!(output || '').trim());
       });
     });
   }
 
+  /**
+   * Create an annotated tag for a release.
+   *
+   * @param {String} workspaceDir - The source control workspace directory.
+   * @param {String} name - The tag name
+   * @param {String} revision - The revision to tag
+   *
+   * @return {Promise}
+   */
+  createTag(workspaceDir, name, revision='HEAD') {
+    return new Promise((resolve, reject) => {
+      git(workspaceDir).raw(['tag', '-a', name, '-m', `Release ${name}`, revision], (err) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Parse the Conventional Commit header and footers of a commit message.
+   * https://www.conventionalcommits.org
+   *
+   * For example, "feat(api)!: Remove the v1 endpoints" is parsed to:
+   * ```
+   * {
+   *   type: 'feat',
+   *   scope: 'api',
+   *   description: 'Remove the v1 endpoints',
+   *   breaking: true,
+   *   breakingNote: null, // The text of the `BREAKING CHANGE:` footer, if it has one
+   * }
+   * ```
+   *
+   * @param {Object} log - A single commit log object
+   * @return {Object or null} - The parsed header, or null if it's not a Conventional Commit
+   */
+  parseConventionalCommit(log) {
+    const [header, ...body] = log.fullText.split('\n');
+    const match = header.trim().match(/^([a-z]+)(?:\(([^)]*)\))?(!)?: (.+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    // The breaking change footer continues until a blank line or the next footer
+    let breakingNote = null;
+    body.forEach((line) => {
+      const footer = line.match(/^BREAKING[ -]CHANGE: (.*)$/);
+      if (footer) {
+        breakingNote = [footer[1]];
+      } else if (breakingNote && !breakingNote.done) {
+        if (!line.trim() || /^[A-Za-z-]+(: | #)/.test(line)) {
+          breakingNote.done = true;
+        } else {
+          breakingNote.push(line);
+        }
+      }
+    });
+
+    const [, type, scope, bang, description] = match;
+    return {
+      type: type.toLowerCase(),
+      scope: scope || null,
+      description: description.trim(),
+      breaking: !!(bang || breakingNote),
+      breakingNote: (breakingNote) ? breakingNote.join('\n').trim() : null,
+    };
+  }
+
+  /**
+   * Combine the Conventional Commit of a top-level commit with those of the commits it merged.
+   * A merge commit which doesn't follow the convention itself (i.e. "Merge pull request #12")
+   * takes the type of the first commit it merged, and has a breaking change if any of them do.
+   *
+   * @param {Object} log - A top-level commit log, with `conventional` set on it and its merged commits
+   * @return {Object or null} - See `parseConventionalCommit`
+   */
+  mergeConventionalCommits(log) {
+    const own = this.parseConventionalCommit(log);
+    const merged = log.graph.merged
+      .filter(m => !m.reverted && m.conventional)
+      .map(m => m.conventional)
+      .reverse(); // oldest first
+    if (!merged.length) {
+      return own;
+    }
+
+    const all = (own) ? [own, ...merged] : merged;
+    const conventional = { ...all[0] };
+    const breaking = all.filter(c => c.breaking);
+    const notes = Array.from(new Set(breaking.map(c => c.breakingNote).filter(Boolean)));
+    conventional.breaking = breaking.length > 0;
+    conventional.breakingNote = (notes.length) ? notes.join('\n') : null;
+    return conventional;
+  }
+
+  /**
+   * Find the pull request (GitHub) or merge request (GitLab) which a commit merged,
+   * from the default commit messages:
+   *
+   *  + GitHub merge: "Merge pull request #123 from org/branch"
+   *  + GitHub squash merge: "Add the thing (#123)"
+   *  + GitLab merge: "See merge request group/project!45"
+   *
+   * @param {Object} log - A single commit log object
+   * @return {Object or null} - `{ number, provider }` or null, if no pull request was found
+   */
+  parsePullRequest(log) {
+    const github = log.summary.match(/^Merge pull request #([0-9]+)/) || log.summary.match(/\(#([0-9]+)\)/);
+    if (github) {
+      return { number: Number(github[1]), provider: 'github' };
+    }
+
+    const gitlab = log.fullText.match(/See merge request [^\s!]*!([0-9]+)/);
+    if (gitlab) {
+      return { number: Number(gitlab[1]), provider: 'gitlab' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the names of the branches related to a commit, from the
+   * default merge commit messages and the refs which point to the commit:
+   *
+   *  + "Merge pull request #123 from org/feature/ABC-123-login"
+   *  + "Merge branch 'feature/ABC-123-login' into 'master'"
+   *  + Decorations: "HEAD -> feature/ABC-123-login, origin/feature/ABC-123-login"
+   *
+   * Tags and symbolic refs (`HEAD`, `origin/HEAD`) are not included.
+   *
+   * @param {Object} log - A single commit log object
+   * @return {Array} - List of branch names
+   */
+  parseBranchNames(log) {
+    const branches = [];
+
+    const merge = log.summary.match(/^Merge pull request #[0-9]+ from (\S+)/)
+      || log.summary.match(/^Merge (?:remote-tracking )?branch '([^']+)'/);
+    if (merge) {
+      branches.push(merge[1]);
+    }
+
+    (log.decorations || '').split(',').forEach((ref) => {
+      ref = ref.trim().replace(/^HEAD -> /, '');
+      if (ref && !/(^|\/)HEAD$/.test(ref) && !ref.startsWith('tag: ')) {
+        branches.push(ref);
+      }
+    });
+
+    return Array.from(new Set(branches));
+  }
+
   /**
    * Determine if a commit is a revert.
    * If a log is a "revert of a revert", if will not be marked as a
@@ -197,8 +494,9 @@ export default class SourceControl {
         merged: [],
       };
 
-      // Decorate it with the revert property
+      // Decorate it with the revert property and branch names
       log.reverted = this.isRevert(log);
+      log.branches = this.parseBranchNames(log);
 
       hashes[log.revision] = log;
       return log;
@@ -244,6 +542,7 @@ export default class SourceControl {
   /**
    * Given the commit graph (see simpleTopLevelGraph), combine all merged commit
    * messages (fullText only) strings into a single string at the merge commit.
+   * The branch names and files of the merged commits are also added to the merge commit.
    *
    * NOTE: reverted commit messages will not be included, as their message is now no
    * longer valid.
@@ -266,6 +565,8 @@ export default class SourceControl {
 
     commits.forEach((item) => {
       let { summary, fullText } = item;
+      const branches = new Set(item.branches || []);
+      const files = [item.files || []];
 
       item.graph.merged.forEach((merged) => {
         // Skip reverted commits
@@ -273,9 +574,13 @@ export default class SourceControl {
           return;
         }
         fullText += `\n${merged.fullText.trim()}`;
+        (merged.branches || []).forEach(b => branches.add(b));
+        files.push(merged.files || []);
       });
 
       item.fullText = fullText.trim();
+      item.branches = Array.from(branches);
+      item.files = combineFileChanges(files);
     });
 
     return commits;
@@ -1,3 +1,7 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
 import SourceControl from './SourceControl';
 import {getDefaultConfig} from './Config';
 
@@ -235,3 +239,216 @@ describe('Decorate reverts', () => {
     expect(rev5.fullText).toEqual(expectFull);
   });
 });
+
+describe('Pull requests', () => {
+  test('GitHub merge commit', () => {
+    const log = { summary: 'Merge pull request #123 from org/feature (HEAD -> master)', fullText: 'Merge pull request #123 from org/feature' };
+    expect(source.parsePullRequest(log)).toEqual({ number: 123, provider: 'github' });
+  });
+
+  test('GitHub squash merge', () => {
+    const log = { summary: '[ENG-1] Add search (#45)', fullText: '[ENG-1] Add search (#45)' };
+    expect(source.parsePullRequest(log)).toEqual({ number: 45, provider: 'github' });
+  });
+
+  test('GitLab merge request', () => {
+    const log = {
+      summary: "Merge branch 'feature' into 'master'",
+      fullText: "Merge branch 'feature' into 'master'\n\nAdd search\n\nSee merge request group/project!45",
+    };
+    expect(source.parsePullRequest(log)).toEqual({ number: 45, provider: 'gitlab' });
+  });
+
+  test('no pull request', () => {
+    const log = { summary: 'Fix #12 in the parser', fullText: 'Fix #12 in the parser' };
+    expect(source.parsePullRequest(log)).toBe(null);
+  });
+});
+
+describe('Branch names', () => {
+  test('GitHub merge commit', () => {
+    const log = { summary: 'Merge pull request #123 from org/feature/ABC-123-login' };
+    expect(source.parseBranchNames(log)).toEqual(['org/feature/ABC-123-login']);
+  });
+
+  test('Merge branch commit', () => {
+    const log = { summary: "Merge branch 'feature/ABC-123-login' into 'master'" };
+    expect(source.parseBranchNames(log)).toEqual(['feature/ABC-123-login']);
+  });
+
+  test('Decorations', () => {
+    const log = {
+      summary: 'Add login (HEAD -> feature/ABC-123, tag: v1.0)',
+      decorations: 'HEAD -> feature/ABC-123, origin/feature/ABC-123, origin/HEAD, tag: v1.0',
+    };
+    expect(source.parseBranchNames(log)).toEqual(['feature/ABC-123', 'origin/feature/ABC-123']);
+  });
+
+  test('Merged branch names are added to the merge commit', () => {
+    testGitLogs.find(l => l.revision == '5').summary = "Merge branch 'feature/ABC-1'";
+    testGitLogs.find(l => l.revision == '2b').decorations = 'origin/feature/ABC-1-fix';
+
+    const graph = source.simpleTopLevelGraph(testGitLogs);
+    const logs = source.consolodateCommitMessages(graph);
+    const rev5 = logs.find(i => i.revision === '5');
+    expect(rev5.branches).toEqual(['feature/ABC-1', 'origin/feature/ABC-1-fix']);
+  });
+});
+
+describe('Tags', () => {
+  let dir;
+  const run = cmd => execSync(cmd, { cwd: dir, stdio: 'pipe' }).toString().trim();
+  const commit = (msg) => run(`git commit -q --allow-empty -m "${msg}"`);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-changelog-'));
+    run('git init -q');
+    run('git config user.email "za@nowhere.com"');
+    run('git config user.name "Za"');
+    commit('first');
+    run('git tag v1.0.0');
+    commit('second');
+    run('git tag build-12');
+    commit('third');
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  test('latest tag', async () => {
+    expect(await source.getLatestTag(dir)).toBe('build-12');
+  });
+
+  test('latest tag matching a pattern', async () => {
+    expect(await source.getLatestTag(dir, 'HEAD', 'v*')).toBe('v1.0.0');
+  });
+
+  test('tag on the end revision is skipped', async () => {
+    run('git tag v1.1.0');
+    expect(await source.getLatestTag(dir, 'HEAD', 'v*')).toBe('v1.0.0');
+  });
+
+  test('no matching tag', async () => {
+    await expect(source.getLatestTag(dir, 'HEAD', 'release-*')).rejects.toThrow("Could not find a tag matching 'release-*' before HEAD.");
+  });
+
+  test('tag exists', async () => {
+    expect(await source.hasTag(dir, 'v1.0.0')).toBe(true);
+    expect(await source.hasTag(dir, 'v1.1.0')).toBe(false);
+  });
+
+  test('create a tag', async () => {
+    await source.createTag(dir, 'v1.1.0', 'HEAD');
+    expect(run('git describe --tags --exact-match HEAD')).toBe('v1.1.0');
+    expect(run('git cat-file -t v1.1.0')).toBe('tag');
+  });
+});
+
+describe('Git log', () => {
+  test('parse the log output', () => {
+    const record = (fields, files) => `\x1e${fields.join('\x1f')}\x1f\n\n${files.join('\n')}\n`;
+    const output = [
+      record(['abc', '2020-01-23 15:52:51 -0800', 'Add api (HEAD -> master)', 'Add api\n(HEAD -> master)\nBody', 'Za', 'za@nowhere.com', 'def', 'HEAD -> master'], [
+        ':000000 100644 0000000 7898192 A\tservices/api/index.js',
+        ':100644 100644 d00491f 88feedb M\tREADME.md',
+        ':100644 100644 d00491f 88feedb M\tlogo.png',
+        '12\t0\tservices/api/index.js',
+        '1\t3\tREADME.md',
+        '-\t-\tlogo.png',
+      ]),
+      record(['def', '2020-01-22 15:52:51 -0800', 'Merge branch', 'Merge branch\n\n', 'Za', 'za@nowhere.com', '123 456', ''], []),
+    ].join('');
+
+    const [first, second] = source.parseGitLog(output);
+    expect(first).toEqual({
+      revision: 'abc',
+      date: '2020-01-23 15:52:51 -0800',
+      summary: 'Add api (HEAD -> master)',
+      fullText: 'Add api\n(HEAD -> master)\nBody',
+      authorName: 'Za',
+      authorEmail: 'za@nowhere.com',
+      parents: 'def',
+      decorations: 'HEAD -> master',
+      files: [
+        { path: 'services/api/index.js', status: 'A', additions: 12, deletions: 0 },
+        { path: 'README.md', status: 'M', additions: 1, deletions: 3 },
+        { path: 'logo.png', status: 'M', additions: null, deletions: null },
+      ],
+    });
+    expect(second.parents).toBe('123 456');
+    expect(second.files).toEqual([]);
+  });
+
+  test('Merged files are added to the merge commit', () => {
+    testGitLogs.find(l => l.revision == '5').files = [{ path: 'README.md', status: 'M', additions: 1, deletions: 0 }];
+    testGitLogs.find(l => l.revision == '2a').files = [
+      { path: 'services/api/index.js', status: 'A', additions: 10, deletions: 0 },
+      { path: 'README.md', status: 'M', additions: 2, deletions: 1 },
+    ];
+    testGitLogs.find(l => l.revision == '2b').files = [{ path: 'apps/web/index.js', status: 'M', additions: 3, deletions: 3 }];
+
+    const graph = source.simpleTopLevelGraph(testGitLogs);
+    const logs = source.consolodateCommitMessages(graph);
+    const rev5 = logs.find(i => i.revision === '5');
+    expect(rev5.files.map(f => f.path)).toEqual(['README.md', 'apps/web/index.js', 'services/api/index.js']);
+    expect(rev5.files[0]).toEqual({ path: 'README.md', status: 'M', additions: 3, deletions: 1 });
+  });
+});
+
+describe('Conventional Commits', () => {
+  test('type, scope and description', () => {
+    const log = { fullText: 'feat(api): Add search\n(HEAD -> master)\nBody' };
+    expect(source.parseConventionalCommit(log)).toEqual({
+      type: 'feat',
+      scope: 'api',
+      description: 'Add search',
+      breaking: false,
+      breakingNote: null,
+    });
+  });
+
+  test('breaking change marker', () => {
+    const log = { fullText: 'Refactor!: Drop node 10\n\n' };
+    expect(source.parseConventionalCommit(log)).toMatchObject({ type: 'refactor', scope: null, breaking: true });
+  });
+
+  test('breaking change footer', () => {
+    const log = { fullText: 'fix: Parse dates\n\nSome details.\n\nBREAKING CHANGE: Dates must be\nISO strings.\nRefs: #12' };
+    expect(source.parseConventionalCommit(log)).toMatchObject({
+      type: 'fix',
+      breaking: true,
+      breakingNote: 'Dates must be\nISO strings.',
+    });
+  });
+
+  test('breaking changes in merged commits', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-changelog-'));
+    const run = cmd => execSync(cmd, { cwd: dir, stdio: 'pipe' }).toString().trim();
+    run('git init -q');
+    run('git config user.email "za@nowhere.com"');
+    run('git config user.name "Za"');
+    run('git commit -q --allow-empty -m "first"');
+    run('git checkout -q -b feature');
+    run('git commit -q --allow-empty -m "feat(api): Add v2 endpoints"');
+    run('git commit -q --allow-empty -m "fix!: Drop the v1 endpoints" -m "BREAKING CHANGE: Use v2."');
+    run('git checkout -q -');
+    run('git merge -q --no-ff feature -m "Merge pull request #12 from org/feature"');
+
+    const logs = await source.getCommitLogs(dir, { from: 'HEAD~1', to: 'HEAD', symmetric: false });
+    fs.rmdirSync(dir, { recursive: true });
+
+    expect(logs.length).toBe(1);
+    expect(logs[0].conventional).toMatchObject({
+      type: 'feat',
+      scope: 'api',
+      breaking: true,
+      breakingNote: 'Use v2.',
+    });
+  });
+
+  test('not a conventional commit', () => {
+    expect(source.parseConventionalCommit({ fullText: '[ENG-1] Add search\n\n' })).toBe(null);
+    expect(source.parseConventionalCommit({ fullText: "Merge branch 'feature/ENG-1'\n\n" })).toBe(null);
+  });
+});
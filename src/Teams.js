@@ -0,0 +1,101 @@
+import { splitUpMessage, postWebhook, decodeEntities } from './messages';
+
+// Teams rejects webhook payloads larger than ~28KB
+const MSG_SIZE_LIMIT = 20000;
+
+/**
+ * Manages the Microsoft Teams integration.
+ * The changelog is posted as an adaptive card, with an incoming webhook.
+ */
+export default class Teams {
+
+  /**
+   * @param {Object} config - The configuration object
+   * @param {DryRun} dryRun - Record the messages to this object, instead of posting them.
+   */
+  constructor(config, dryRun=null) {
+    this.config = config;
+    this.dryRun = dryRun;
+  }
+
+  /**
+   * Is the Teams integration enabled
+   */
+  isEnabled() {
+    return !!(this.config.teams && this.config.teams.webhookUrl);
+  }
+
+  /**
+   * Create the adaptive card webhook payload for a message.
+   *
+   * @param {String} title - The card title
+   * @param {String} text - The message text
+   * @return {Object}
+   */
+  createCard(title, text) {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.2',
+          body: [
+            { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+            { type: 'TextBlock', text, fontType: 'Monospace', wrap: true },
+          ],
+        },
+      }],
+    };
+  }
+
+  /**
+   * Post the changelog to the Teams channel.
+   *
+   * @param {String} content - The changelog content which was output by the command
+   * @param {Object} data - The data which generated the changelog content.
+   *
+   * @return {Promise} Resolves when the changelog has been sent
+   */
+  async notify(content, data) {
+    if (!this.isEnabled()) {
+      throw new Error('Teams is not configured.');
+    }
+
+    const { releaseVersions } = data.jira;
+    const title = (releaseVersions && releaseVersions.length) ? `Release ${releaseVersions[0].name}` : 'Changelog';
+    return this.postMessage(title, decodeEntities(content));
+  }
+
+  /**
+   * Post a message to the Teams channel.
+   * If the message is longer than the payload limit, it will be cut into multiple cards.
+   *
+   * @param {String} title - The card title
+   * @param {String} text - The message text
+   *
+   * @return {Promise} Resolves when message has sent
+   */
+  postMessage(title, text) {
+    if (!text || !text.length) {
+      return Promise.reject('No text to send to Teams.');
+    }
+
+    const chunks = splitUpMessage(text, MSG_SIZE_LIMIT);
+    return chunks.reduce((promise, chunk) => promise.then(() => {
+      const payload = this.createCard(title, chunk);
+      if (this.dryRun) {
+        this.dryRun.record('teams', 'webhook', `Post card '${title}' (${chunk.length} characters)`, [payload]);
+        return { ok: true };
+      }
+      return postWebhook(this.config.teams.webhookUrl, payload).then((response) => {
+        if (!response.ok) {
+          throw response.error;
+        }
+        return response;
+      });
+    }), Promise.resolve());
+  }
+}
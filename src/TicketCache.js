@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { getDefaultConfig, defaultOptions } from './Config';
+
+/**
+ * Default directory the tickets are cached in, relative to the current directory.
+ */
+export const DEFAULT_CACHE_DIR = '.jira-changelog-cache';
+
+/**
+ * Persistent, on-disk cache of Jira ticket objects.
+ *
+ * Each ticket is stored as a JSON file named after the issue key, inside the
+ * `jira.cache.dir` directory:
+ *
+ * ```
+ * {
+ *   cachedAt: <timestamp the ticket was written to the cache, in ms>,
+ *   ticket: <jira ticket object, as returned by the API>
+ * }
+ * ```
+ *
+ * An entry is invalid when it is older than `jira.cache.ttl` seconds or when
+ * the ticket's `updated` timestamp no longer matches the one in Jira.
+ */
+export default class TicketCache {
+
+  constructor(config) {
+    const { dir, ttl } = defaultOptions(config.jira.cache, getDefaultConfig().jira.cache);
+    this.dir = path.resolve(dir || DEFAULT_CACHE_DIR);
+    this.ttl = ttl;
+  }
+
+  /**
+   * Return the path to the cache file for a ticket.
+   *
+   * @param {String} ticketKey - The Jira ticket key
+   * @return {String}
+   */
+  filePath(ticketKey) {
+    const name = ticketKey.toUpperCase().replace(/[^A-Z0-9_\-]/g, '_');
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Read the raw cache entry for a ticket.
+   *
+   * @param {String} ticketKey - The Jira ticket key
+   * @return {Object} The cache entry or undefined
+   */
+  read(ticketKey) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this.filePath(ticketKey), 'utf8'));
+      if (entry && entry.ticket) {
+        return entry;
+      }
+    } catch(e) {
+      if (e.code !== 'ENOENT') {
+        console.warn(`WARNING: Could not read ticket ${ticketKey} from the cache: ${e.message}`);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Get a ticket from the cache, if it's still valid.
+   *
+   * @param {String} ticketKey - The Jira ticket key
+   * @param {Object} options
+   * @param {Boolean} options.ignoreTTL - Return the ticket, even if it has expired.
+   * @param {String} options.updated - The ticket's current `updated` timestamp in Jira.
+   *                                   If it doesn't match the cached ticket, the entry is invalid.
+   * @return {Object} The ticket object or undefined
+   */
+  get(ticketKey, { ignoreTTL=false, updated=undefined } = {}) {
+    const entry = this.read(ticketKey);
+    if (!entry) {
+      return undefined;
+    }
+
+    // Expired
+    if (!ignoreTTL && this.ttl && Date.now() - entry.cachedAt > this.ttl * 1000) {
+      return undefined;
+    }
+
+    // Updated in Jira since it was cached
+    const { fields } = entry.ticket;
+    if (updated && (!fields || fields.updated !== updated)) {
+      return undefined;
+    }
+
+    return entry.ticket;
+  }
+
+  /**
+   * Write a ticket to the cache.
+   *
+   * @param {String} ticketKey - The Jira ticket key
+   * @param {Object} ticket - The ticket object returned from the Jira API
+   */
+  set(ticketKey, ticket) {
+    const entry = {
+      cachedAt: Date.now(),
+      ticket,
+    };
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this.filePath(ticketKey), JSON.stringify(entry));
+    } catch(e) {
+      console.warn(`WARNING: Could not write ticket ${ticketKey} to the cache: ${e.message}`);
+    }
+  }
+}
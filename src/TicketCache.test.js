@@ -0,0 +1,59 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TicketCache from './TicketCache';
+
+const TICKET = () => ({
+  key: 'ENG-123',
+  fields: {
+    summary: 'Hello world',
+    updated: '2020-01-23T15:52:51.000-0800',
+  },
+});
+
+let dir;
+let cache;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-changelog-'));
+  cache = new TicketCache({ jira: { cache: { dir, ttl: 60 } } });
+});
+
+afterEach(() => {
+  fs.rmdirSync(dir, { recursive: true });
+});
+
+describe('Ticket cache', () => {
+  test('stores tickets on disk by key', () => {
+    cache.set('ENG-123', TICKET());
+    expect(fs.existsSync(path.join(dir, 'ENG-123.json'))).toBe(true);
+
+    const other = new TicketCache({ jira: { cache: { dir } } });
+    expect(other.get('ENG-123')).toEqual(TICKET());
+  });
+
+  test('default options', () => {
+    const other = new TicketCache({ jira: { cache: { enabled: true } } });
+    expect(other.ttl).toBe(60 * 60 * 24);
+    expect(other.dir).toBe(path.resolve('.jira-changelog-cache'));
+  });
+
+  test('missing ticket', () => {
+    expect(cache.get('ENG-123')).toBeUndefined();
+  });
+
+  test('expired tickets are invalid', () => {
+    cache.set('ENG-123', TICKET());
+    const entry = cache.read('ENG-123');
+    entry.cachedAt -= 61 * 1000;
+    fs.writeFileSync(cache.filePath('ENG-123'), JSON.stringify(entry));
+
+    expect(cache.get('ENG-123')).toBeUndefined();
+    expect(cache.get('ENG-123', { ignoreTTL: true })).toEqual(TICKET());
+  });
+
+  test('tickets updated in Jira are invalid', () => {
+    cache.set('ENG-123', TICKET());
+    expect(cache.get('ENG-123', { updated: TICKET().fields.updated })).toEqual(TICKET());
+    expect(cache.get('ENG-123', { updated: '2020-02-01T10:00:00.000-0800' })).toBeUndefined();
+  });
+});
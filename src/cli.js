@@ -10,12 +10,18 @@ import 'source-map-support/register';
 import program from 'commander';
 import path from 'path';
 import Slack from './Slack';
+import { NOTIFIERS, getNotifier } from './notifiers';
 import { AllHtmlEntities } from 'html-entities';
 
-import { generateTemplateData, renderTemplate } from './template';
+import {
+  generateTemplateData, renderTemplate, cloneCommitLogs, formatPackageSections, FORMATS,
+} from './template';
+import { filterLogsByPaths, getPackages } from './paths';
 import {readConfigFile} from './Config';
+import { readChangelogFile, hasSection, writeChangelogFile } from './ChangelogFile';
 import SourceControl from './SourceControl';
 import Jira from './Jira';
+import DryRun from './DryRun';
 
 /**
  * Parse command line arguments
@@ -35,17 +41,66 @@ function commandLineArgs() {
     )
     .option(
       '-d, --date <date>[...date]',
-      'Only include commits after this date',
-      parseRange
+      'Only include commits after this date, or between two dates (i.e. "2020-01-21", "2 weeks ago...yesterday")',
+      value => parseDateRange(value)
+    )
+    .option(
+      '-p, --path <glob>',
+      'Only include commits which changed files matching this path glob. Can be used multiple times.',
+      (glob, list) => list.concat(glob),
+      []
+    )
+    .option(
+      '--monorepo',
+      'Generate a changelog section for each package in the packages config'
+    )
+    .option(
+      '--since-last-tag [pattern]',
+      'Start the changelog from the most recent git tag (optionally matching a glob pattern, i.e. "v*")'
+    )
+    .option(
+      '--tag',
+      'Create a git tag named after the --release version'
     )
     .option(
       '-s, --slack',
       'Automatically post changelog to slack (if configured)'
     )
+    .option(
+      '--slack-update',
+      'Edit the slack message previously posted for this release, instead of posting a new one'
+    )
+    .option(
+      '--notify-pending',
+      'Send a slack direct message to the reporters of tickets pending approval'
+    )
+    .option(
+      '-n, --notify <name>',
+      `Post changelog to a chat integration (${Object.keys(NOTIFIERS).join(', ')}). Can be used multiple times.`,
+      (name, list) => list.concat(name),
+      []
+    )
     .option(
       '--release [release]',
       'Assign a release version to these stories'
     )
+    .option(
+      '-f, --format <format>',
+      `Output format (${FORMATS.join(', ')})`,
+      'text'
+    )
+    .option(
+      '-o, --output <file>',
+      'Add the changelog as a new release section to a changelog file (i.e. CHANGELOG.md)'
+    )
+    .option(
+      '--dry-run',
+      'Show what would be changed in Jira and Slack, without changing anything'
+    )
+    .option(
+      '--offline',
+      'Only load Jira tickets from the local ticket cache'
+    )
     .parse(process.argv);
 }
 
@@ -64,34 +119,146 @@ async function runProgram() {
     gitPath = path.resolve(gitPath);
 
     const config = readConfigFile(gitPath);
-    const jira = new Jira(config);
+    if (program.offline) {
+      config.jira.offline = true;
+    }
+    if (program.slackUpdate) {
+      config.slack.updateExisting = true;
+    }
+    if (program.tag) {
+      config.sourceControl.createReleaseTag = true;
+    }
+
+    const dryRun = (program.dryRun) ? new DryRun() : null;
+    const jira = new Jira(config, dryRun);
     const source = new SourceControl(config);
+    if (!config.jira.offline) {
+      await jira.validateCredentials();
+    }
 
     // Release flag used, but no name passed
     if (program.release === true) {
       if (typeof config.jira.generateReleaseVersionName !== 'function') {
-        console.log("You need to define the jira.generateReleaseVersionName function in your config, if you're not going to pass the release version name in the command.")
+        console.error("You need to define the jira.generateReleaseVersionName function in your config, if you're not going to pass the release version name in the command.")
         return;
       }
       program.release = await config.jira.generateReleaseVersionName();
     }
 
+    if (program.monorepo && !getPackages(config).length) {
+      throw new Error('The packages config is required for --monorepo.');
+    }
+    if (config.sourceControl.createReleaseTag && !program.release) {
+      throw new Error('The --release version is required to create a git tag.');
+    }
+
+    // Check the options before anything is changed in Jira
+    if (!FORMATS.includes(program.format)) {
+      throw new Error(`Unknown output format '${program.format}'. Use one of: ${FORMATS.join(', ')}`);
+    }
+    const notifiers = getNotifiers(config, dryRun);
+    if (program.output) {
+      if (!program.release) {
+        throw new Error('The --release version is required when writing to a changelog file.');
+      }
+      if (['html', 'json'].includes(program.format)) {
+        throw new Error(`Cannot write the ${program.format} format to a changelog file.`);
+      }
+      if (hasSection(readChangelogFile(program.output), program.release)) {
+        throw new Error(`${program.output} already has a section for version '${program.release}'.`);
+      }
+    }
+    if (config.sourceControl.createReleaseTag && await source.hasTag(gitPath, program.release)) {
+      throw new Error(`The git tag '${program.release}' already exists.`);
+    }
+
     // Get logs
-    const range = getRangeObject(config);
-    const commitLogs = await source.getCommitLogs(gitPath, range);
+    const tagRange = (program.sinceLastTag) ? await getTagRange(config, source, gitPath) : null;
+    const range = getRangeObject(config, program, tagRange);
+    let commitLogs = await source.getCommitLogs(gitPath, range);
+
+    // Only the commits which changed the paths (or packages)
+    const packages = (program.monorepo) ? getPackages(config) : [];
+    const paths = (program.path.length) ? program.path : (config.sourceControl.paths || []);
+    if (paths.length) {
+      commitLogs = filterLogsByPaths(commitLogs, paths);
+    }
+    if (packages.length) {
+      commitLogs = filterLogsByPaths(commitLogs, packages.reduce((all, pkg) => all.concat(pkg.paths), []));
+    }
+
     const changelog = await jira.generate(commitLogs, program.release);
 
-    // Render template
+    // Report tickets which could not be loaded from the cache
+    if (jira.missingTickets.length) {
+      console.warn(`WARNING: ${jira.missingTickets.length} ticket(s) were not found in the offline cache: ${jira.missingTickets.join(', ')}`);
+    }
+    if (jira.failedTickets.length) {
+      const failed = jira.failedTickets.map(({ key, error }) => `${key} (${error})`);
+      console.warn(`WARNING: ${failed.length} ticket(s) could not be loaded from Jira: ${failed.join(', ')}`);
+    }
+
+    // Render template (monorepo packages are rendered from copies, before the data is transformed)
+    let changelogMessage;
+    if (packages.length) {
+      const sections = await renderPackageSections(config, packages, changelog, jira.releaseVersions, program.format);
+      changelogMessage = formatPackageSections(sections, program.format);
+    }
     const tmplData = await generateTemplateData(config, changelog, jira.releaseVersions);
-    const changelogMessage = renderTemplate(config, tmplData);
+    if (!packages.length) {
+      changelogMessage = renderTemplate(config, tmplData, program.format);
+    }
 
-    // Output to console
-    const entitles = new AllHtmlEntities();
-    console.log(entitles.decode(changelogMessage));
+    let output = changelogMessage;
+    if (!['html', 'json'].includes(program.format)) {
+      const entitles = new AllHtmlEntities();
+      output = entitles.decode(changelogMessage);
+    }
 
-    // Post to slack
-    if (program.slack) {
-      await postToSlack(config, tmplData, changelogMessage);
+    // Output to changelog file or console
+    if (program.output && dryRun) {
+      dryRun.record('file', 'write', `Add release '${program.release}' to ${program.output}`, [output]);
+    } else if (program.output) {
+      writeChangelogFile(program.output, program.release, output);
+      console.warn(`Added release '${program.release}' to ${program.output}`);
+    } else {
+      console.log(output);
+    }
+
+    // Update the release versions with the changelog
+    if (program.release && !config.jira.offline) {
+      await jira.updateReleaseVersions(output, tmplData);
+    }
+
+    // Tag the release
+    if (config.sourceControl.createReleaseTag) {
+      const revision = range.to || 'HEAD';
+      if (dryRun) {
+        dryRun.record('git', 'tag', `Create tag '${program.release}' at ${revision}`, [program.release, revision]);
+      } else {
+        await source.createTag(gitPath, program.release, revision);
+        console.warn(`Created git tag '${program.release}'. Push it with: git push origin ${program.release}`);
+      }
+    }
+
+    // Ticket transitions
+    if (jira.transitionReport.length) {
+      printTransitionReport(jira.transitionReport);
+    }
+
+    // Post to chat integrations
+    for (const { name, notifier } of notifiers) {
+      await postToNotifier(name, notifier, tmplData, changelogMessage);
+    }
+
+    // Message the owners of pending tickets
+    if (program.notifyPending) {
+      await notifyPendingOwners(config, tmplData, dryRun);
+    }
+
+    // Output the changes that would have been made
+    if (dryRun) {
+      console.warn(`\n${dryRun.formatPlan()}`);
     }
   } catch(e) {
     console.error(e.stack || e);
@@ -100,35 +267,112 @@ async function runProgram() {
 }
 
 /**
- * Post the changelog to slack
+ * Output the result of the ticket transitions.
  *
- * @param {Object} config - The configuration object
- * @param {Object} data - The changelog data object.
- * @param {String} changelogMessage - The changelog message
+ * @param {Array} report - The report list created by `Jira.transitionTickets`
  */
-async function postToSlack(config, data, changelogMessage) {
-  const slack = new Slack(config);
+function printTransitionReport(report) {
+  const failed = report.filter(r => !r.success);
+
+  console.warn(`\nTransitioned ${report.length - failed.length} of ${report.length} tickets:`);
+  report.forEach(({ key, from, transition, success, error }) => {
+    const result = (success) ? 'OK' : `FAILED - ${error}`;
+    console.warn(`  * ${key}: ${from} -> ${transition} (${result})`);
+  });
+}
 
-  if (!slack.isEnabled() || !config.slack.channel) {
-    throw new Error('Error: Slack is not configured.');
-    return;
+/**
+ * Create the chat integrations passed with `--notify` (and `--slack`).
+ * Throws an error if one is unknown or not configured.
+ *
+ * @param {Object} config - The configuration object
+ * @param {DryRun} dryRun - Record the messages, instead of posting them
+ * @return {Array} List of `{ name, notifier }` objects
+ */
+function getNotifiers(config, dryRun=null) {
+  const names = [...program.notify];
+  if (program.slack && !names.includes('slack')) {
+    names.push('slack');
   }
 
-  console.log(`\nPosting changelog message to slack channel: ${config.slack.channel}...`);
+  return names.map((name) => {
+    const notifier = getNotifier(name, config, dryRun);
+    if (!notifier.isEnabled()) {
+      throw new Error(`Error: ${name} is not configured.`);
+    }
+    return { name, notifier };
+  });
+}
+
+/**
+ * Post the changelog to a chat integration
+ *
+ * @param {String} name - The notifier name (i.e. 'slack')
+ * @param {Object} notifier - The notifier, created by `getNotifiers`
+ * @param {Object} data - The changelog data object.
+ * @param {String} changelogMessage - The changelog message
+ */
+async function postToNotifier(name, notifier, data, changelogMessage) {
+  console.warn(`\nPosting changelog message to ${name}...`);
   try {
+    const result = await notifier.notify(changelogMessage, data);
+    if (result && result.permalink) {
+      console.warn(`Sent: ${result.permalink}`);
+    } else {
+      console.warn('Sent');
+    }
+  } catch(err) {
+    throw new Error(err);
+  }
+}
 
-    // Transform for slack
-    if (typeof config.transformForSlack == 'function') {
-      changelogMessage = await Promise.resolve(config.transformForSlack(changelogMessage, data));
+/**
+ * Render a changelog for each monorepo package, from the commits which changed its paths.
+ * Packages without commits are skipped.
+ *
+ * @param {Object} config - The configuration object
+ * @param {Array} packages - List of packages (see `getPackages`)
+ * @param {Array} changelog - The changelog list.
+ * @param {Array} releaseVersions - Jira release versions for this changelog.
+ * @param {String} format - The output format
+ *
+ * @return {Promise} Resolves to a list of `{ name, content }` sections
+ */
+async function renderPackageSections(config, packages, changelog, releaseVersions, format) {
+  const sections = [];
+  for (const pkg of packages) {
+    const logs = cloneCommitLogs(filterLogsByPaths(changelog, pkg.paths));
+    if (!logs.length) {
+      continue;
     }
 
-    // Post to slack
-    await slack.postMessage(changelogMessage, config.slack.channel);
-    console.log('Sent');
+    const data = await generateTemplateData(config, logs, releaseVersions);
+    data.package = pkg;
+    sections.push({ name: pkg.name, content: renderTemplate(config, data, format) });
+  }
+  return sections;
+}
 
-  } catch(err) {
-    throw new Error(err);
+/**
+ * Send a slack direct message to the reporters of pending tickets.
+ *
+ * @param {Object} config - The configuration object
+ * @param {Object} data - The changelog data object.
+ * @param {DryRun} dryRun - Record the messages, instead of posting them
+ */
+async function notifyPendingOwners(config, data, dryRun=null) {
+  const slack = new Slack(config, dryRun);
+
+  console.warn('\nMessaging the reporters of pending tickets...');
+  const { sent, unmatched, failed } = await slack.notifyPendingOwners(data);
+
+  console.warn(`Sent ${sent.length} direct message(s)`);
+  if (unmatched.length) {
+    console.warn(`Could not find slack users for: ${unmatched.map(o => o.email || o.name || 'Unknown').join(', ')}`);
   }
+  failed.forEach(({ slackUser, error }) => {
+    console.warn(`Could not message @${slackUser.name}: ${error}`);
+  });
 }
 
 /**
@@ -166,22 +410,117 @@ export function parseRange(rangeStr) {
 
 
 /**
- * Construct the range object from the CLI arguments and config
+ * Weekday names, in the order of `Date.getDay()`.
+ */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse an ISO date or a relative date expression into a Date:
+ *
+ *  + ISO dates: "2020-01-21", "2020-01-21T10:00:00Z"
+ *  + "now", "today", "yesterday"
+ *  + "<number> <seconds|minutes|hours|days|weeks|months|years> ago" (i.e. "2 weeks ago")
+ *  + "last <weekday>" (i.e. "last monday")
+ *
+ * Days (i.e. "today" and "last monday") start at midnight, local time.
+ *
+ * @param {String} dateStr - The date string.
+ * @param {Date} now - The current date, which relative dates are based on.
+ * @return {Date}
+ */
+export function parseDate(dateStr, now=new Date()) {
+  const text = dateStr.trim().toLowerCase().replace(/\s+/g, ' ');
+  const date = new Date(now);
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  if (text === 'now') {
+    return date;
+  }
+  if (text === 'today') {
+    return today;
+  }
+  if (text === 'yesterday') {
+    today.setDate(today.getDate() - 1);
+    return today;
+  }
+
+  // "2 weeks ago"
+  let match = text.match(/^(\d+|an?) (second|minute|hour|day|week|month|year)s? ago$/);
+  if (match) {
+    const num = (/^\d+$/.test(match[1])) ? Number(match[1]) : 1;
+    switch (match[2]) {
+      case 'second': date.setSeconds(date.getSeconds() - num); break;
+      case 'minute': date.setMinutes(date.getMinutes() - num); break;
+      case 'hour':   date.setHours(date.getHours() - num); break;
+      case 'day':    date.setDate(date.getDate() - num); break;
+      case 'week':   date.setDate(date.getDate() - (num * 7)); break;
+      case 'month':  date.setMonth(date.getMonth() - num); break;
+      case 'year':   date.setFullYear(date.getFullYear() - num); break;
+    }
+    return date;
+  }
+
+  // "last monday"
+  match = text.match(/^last (\w+)$/);
+  if (match && WEEKDAYS.includes(match[1])) {
+    const days = ((today.getDay() - WEEKDAYS.indexOf(match[1]) + 7) % 7) || 7;
+    today.setDate(today.getDate() - days);
+    return today;
+  }
+
+  // ISO date
+  const time = Date.parse(dateStr);
+  if (isNaN(time)) {
+    throw new Error(`Invalid date: '${dateStr}'`);
+  }
+  return new Date(time);
+}
+
+/**
+ * Convert a date range string formatted as "a...b" (or "a..b") into an object,
+ * with `after` and `before` ISO date strings. The end of the range is optional.
+ *
+ * @param {String} rangeStr - The date range string.
+ * @param {Date} now - The current date, which relative dates are based on.
+ * @return {Object}
+ */
+export function parseDateRange(rangeStr, now=new Date()) {
+  const [after, before] = rangeStr.split(/\.\.\.?/).map(s => s.trim());
+  if (!after) {
+    throw new Error('Invalid date range');
+  }
+
+  const range = { after: parseDate(after, now).toISOString() };
+  if (before) {
+    range.before = parseDate(before, now).toISOString();
+  }
+  return range;
+}
+
+/**
+ * Construct the range object from the CLI arguments and config.
+ * The `--date` window is combined with the commit range.
+ *
+ * @param {Object} config - The configuration object
+ * @param {Object} options - The parsed CLI options (`range` and `date`)
+ * @param {Object} baseRange - Use this commit range, instead of `--range` (i.e. from `--since-last-tag`)
  *
- * @param {Object} config - The config object provided by Config.getConfigForPath
  * @return {Object}
  */
-function getRangeObject(config) {
+export function getRangeObject(config, options=program, baseRange=null) {
   const range = {};
   const defaultRange = (config.sourceControl && config.sourceControl.defaultRange) ? config.sourceControl.defaultRange : {};
 
-  if (program.range && program.range.from) {
-    Object.assign(range, program.range);
+  if (baseRange) {
+    Object.assign(range, baseRange);
+  } else if (options.range && options.range.from) {
+    Object.assign(range, options.range);
   }
-  if (program.dateRange && program.dateRange.from) {
-    range.after = program.dateRange.from;
-    if (program.dateRange.to) {
-      range.before = program.dateRange.to;
+  if (options.date && options.date.after) {
+    range.after = options.date.after;
+    if (options.date.before) {
+      range.before = options.date.before;
     }
   }
 
@@ -199,6 +538,24 @@ function getRangeObject(config) {
   return range;
 }
 
+/**
+ * Create the range object from the most recent git tag, up to the `--range` end or HEAD.
+ *
+ * @param {Object} config - The configuration object
+ * @param {SourceControl} source - The source control instance
+ * @param {String} gitPath - The git workspace path
+ *
+ * @return {Promise} Resolves to the range object
+ */
+async function getTagRange(config, source, gitPath) {
+  const pattern = (typeof program.sinceLastTag === 'string') ? program.sinceLastTag : config.sourceControl.tagPattern;
+  const to = (program.range && program.range.to) || 'HEAD';
+  const from = await source.getLatestTag(gitPath, to, pattern);
+
+  console.warn(`Changelog since tag ${from}`);
+  return { from, to, symmetric: false };
+}
+
 // Run program
 if (require.main === module) {
   runProgram();
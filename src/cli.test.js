@@ -1,4 +1,8 @@
-import { parseRange } from './cli'
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync, execFileSync } from 'child_process';
+import { parseRange, parseDate, parseDateRange, getRangeObject } from './cli'
 
 describe('parseRange', () => {
     test('parses symmetric <sha1>...<sha2>', () => {
@@ -38,3 +42,152 @@ describe('parseRange', () => {
         expect(range.symmetric).toBe(false);
     });
 })
+
+describe('parseDate', () => {
+    // Wednesday, 2020-01-22 15:30 local time
+    const now = new Date(2020, 0, 22, 15, 30);
+
+    test('parses ISO dates', () => {
+        expect(parseDate('2020-01-02T10:00:00Z', now).toISOString()).toBe('2020-01-02T10:00:00.000Z');
+    });
+    test('parses today and yesterday', () => {
+        expect(parseDate('today', now)).toEqual(new Date(2020, 0, 22));
+        expect(parseDate('yesterday', now)).toEqual(new Date(2020, 0, 21));
+    });
+    test('parses relative dates', () => {
+        expect(parseDate('2 weeks ago', now)).toEqual(new Date(2020, 0, 8, 15, 30));
+        expect(parseDate('3 days ago', now)).toEqual(new Date(2020, 0, 19, 15, 30));
+        expect(parseDate('an hour ago', now)).toEqual(new Date(2020, 0, 22, 14, 30));
+        expect(parseDate('1 month ago', now)).toEqual(new Date(2019, 11, 22, 15, 30));
+    });
+    test('parses last weekday', () => {
+        expect(parseDate('last monday', now)).toEqual(new Date(2020, 0, 20));
+        expect(parseDate('Last Wednesday', now)).toEqual(new Date(2020, 0, 15));
+    });
+    test('invalid date', () => {
+        expect(() => parseDate('next tuesday', now)).toThrow("Invalid date: 'next tuesday'");
+    });
+});
+
+describe('parseDateRange', () => {
+    const now = new Date(2020, 0, 22, 15, 30);
+
+    test('parses a start date', () => {
+        expect(parseDateRange('2020-01-02T00:00:00Z', now)).toEqual({ after: '2020-01-02T00:00:00.000Z' });
+    });
+    test('parses a start and end date', () => {
+        const range = parseDateRange('2 weeks ago...yesterday', now);
+        expect(range.after).toBe(new Date(2020, 0, 8, 15, 30).toISOString());
+        expect(range.before).toBe(new Date(2020, 0, 21).toISOString());
+    });
+    test('invalid range', () => {
+        expect(() => parseDateRange('...yesterday', now)).toThrow(Error);
+    });
+});
+
+describe('getRangeObject', () => {
+    const config = {
+        sourceControl: { defaultRange: { from: 'origin/prod', to: 'origin/stage' } },
+    };
+
+    test('uses the default range', () => {
+        expect(getRangeObject(config, {})).toEqual({ from: 'origin/prod', to: 'origin/stage', symmetric: false });
+    });
+    test('uses the date range', () => {
+        const date = { after: '2020-01-02T00:00:00.000Z', before: '2020-01-10T00:00:00.000Z' };
+        expect(getRangeObject(config, { date })).toEqual({ ...date, symmetric: false });
+    });
+    test('combines the commit and date ranges', () => {
+        const range = parseRange('v1.0...v1.1');
+        const date = { after: '2020-01-02T00:00:00.000Z' };
+        expect(getRangeObject(config, { range, date })).toEqual({
+            from: 'v1.0',
+            to: 'v1.1',
+            symmetric: true,
+            after: '2020-01-02T00:00:00.000Z',
+        });
+    });
+    test('uses the base range instead of --range', () => {
+        const range = parseRange('v1.0...v1.1');
+        const base = { from: 'v1.2', to: 'HEAD', symmetric: false };
+        expect(getRangeObject(config, { range }, base)).toEqual(base);
+    });
+    test('no range', () => {
+        expect(() => getRangeObject({}, {})).toThrow('No range defined for the changelog.');
+    });
+});
+
+describe('running the command', () => {
+    let dir;
+    const run = cmd => execSync(cmd, { cwd: dir, stdio: 'pipe' }).toString().trim();
+    const cli = (...args) => execFileSync('node', [path.join(__dirname, 'cli.js'), ...args], {
+        cwd: dir,
+        stdio: 'pipe',
+    }).toString();
+    const cliError = (...args) => {
+        try {
+            cli(...args);
+        } catch (e) {
+            return e.stderr.toString();
+        }
+        throw new Error('The command did not fail');
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-changelog-'));
+        run('git init -q');
+        run('git config user.email "za@nowhere.com"');
+        run('git config user.name "Za"');
+        run('git commit -q --allow-empty -m "first"');
+        run('git commit -q --allow-empty -m "[ENG-1] Missing from the cache"');
+        fs.writeFileSync(path.join(dir, 'changelog.config.js'), `module.exports = {
+            jira: { cache: { dir: ${JSON.stringify(path.join(dir, 'cache'))} } },
+        };`);
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(dir, { recursive: true });
+    });
+
+    test('stdout only contains the json changelog', () => {
+        const output = cli('--offline', '--format', 'json', '--range', 'HEAD~1...HEAD');
+        const data = JSON.parse(output);
+        expect(data.commits.all.length).toBe(1);
+    });
+
+    test('stdout only contains the json changelog, since the last tag', () => {
+        run('git tag v1.0 HEAD~1');
+        const output = cli('--offline', '--format', 'json', '--since-last-tag');
+        const data = JSON.parse(output);
+        expect(data.commits.all.length).toBe(1);
+    });
+
+    test('write an offline changelog to a file', () => {
+        cli('--offline', '--release', 'v1.1', '--output', 'CHANGELOG.md', '--range', 'HEAD~1...HEAD');
+        const text = fs.readFileSync(path.join(dir, 'CHANGELOG.md'), 'utf8');
+        expect(text).toMatch(/^## v1\.1 \(/m);
+    });
+
+    test('existing tag fails before writing the changelog file', () => {
+        run('git tag v1.1');
+        const stderr = cliError('--offline', '--release', 'v1.1', '--tag', '--output', 'CHANGELOG.md', '--range', 'HEAD~1...HEAD');
+        expect(stderr).toContain("The git tag 'v1.1' already exists.");
+        expect(fs.existsSync(path.join(dir, 'CHANGELOG.md'))).toBe(false);
+    });
+
+    test('unknown or unconfigured notifiers fail before loading the tickets', () => {
+        let stderr = cliError('--offline', '--notify', 'team', '--range', 'HEAD~1...HEAD');
+        expect(stderr).toContain("Unknown notifier 'team'");
+        expect(stderr).not.toContain('ENG-1');
+
+        stderr = cliError('--offline', '--notify', 'teams', '--range', 'HEAD~1...HEAD');
+        expect(stderr).toContain('teams is not configured');
+        expect(stderr).not.toContain('ENG-1');
+    });
+
+    test('unknown format fails before loading the tickets', () => {
+        const stderr = cliError('--offline', '--format', 'mardown', '--range', 'HEAD~1...HEAD');
+        expect(stderr).toContain("Unknown output format 'mardown'");
+        expect(stderr).not.toContain('ENG-1');
+    });
+});
@@ -3,5 +3,6 @@
 module.exports = {
   SourceControl: require('./SourceControl').default,
   Jira: require('./Jira').default,
+  DryRun: require('./DryRun').default,
   Config: require('./Config')
 };
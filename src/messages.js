@@ -0,0 +1,96 @@
+/**
+ * Helpers shared by the chat integrations (Slack, Teams, Mattermost).
+ */
+
+import fetch from 'node-fetch';
+import { AllHtmlEntities } from 'html-entities';
+
+/**
+ * Decode the HTML entities the changelog template escaped (i.e. `&amp;`),
+ * for integrations which display the text as-is.
+ *
+ * @param {String} text - The message text
+ * @return {String}
+ */
+export function decodeEntities(text) {
+  return new AllHtmlEntities().decode(text);
+}
+
+/**
+ * POST a JSON payload to an incoming webhook.
+ * The response is normalized to look like a slack web API response.
+ *
+ * @param {String} url - The webhook URL
+ * @param {Object} payload - The message payload
+ *
+ * @return {Promise} Resolves to `{ ok: true }` or `{ ok: false, error: <message> }`
+ */
+export function postWebhook(url, payload) {
+  return fetch(url, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+    headers: { 'Content-Type': 'application/json' },
+  })
+  .then(res => res.text().then((text) => (
+    (res.ok) ? { ok: true } : { ok: false, error: text || res.statusText }
+  )));
+}
+
+/**
+ * Cut a message into chunks that fit a message length limit.
+ * The text will be divided by newline characters, where possible.
+ *
+ * @param {String} text - The message text to split up.
+ * @param {Number} sizeLimit - The maximum length of each message.
+ *
+ * @return {Array}
+ */
+export function splitUpMessage(text, sizeLimit) {
+  if (text.length <= sizeLimit) {
+    return [text];
+  }
+
+  const lines = text.split('\n');
+  const messages = [];
+  const continuation = '...';
+  const limit = sizeLimit - continuation.length;
+  let block = '';
+
+  lines.forEach((line) => {
+    const tmpBlock = `${block}${line}\n`;
+
+    // Within size limit
+    if (tmpBlock.length <= sizeLimit) {
+      block = tmpBlock;
+    }
+    // Bigger than size limit
+    else {
+
+      // Add last block and start new one
+      if (block.length) {
+        messages.push(block);
+        block = line;
+      }
+
+      // No existing block, this line must be loner than the limit
+      else {
+        while (line.length > 0) {
+          let last = line.substr(0, limit).trim();
+          line = line.substr(limit).trim();
+
+          // Add continuation characters
+          if (line.length) {
+            last += continuation;
+            line = `${continuation}${line}`;
+          }
+          messages.push(last);
+        }
+      }
+    }
+  });
+  if (block) {
+    messages.push(block);
+  }
+
+  return messages;
+}
@@ -0,0 +1,22 @@
+import { splitUpMessage } from './messages';
+
+describe('Split up messages', () => {
+  test('short message', () => {
+    expect(splitUpMessage('hello\nworld', 100)).toEqual(['hello\nworld']);
+  });
+
+  test('split by lines', () => {
+    const text = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n');
+    const messages = splitUpMessage(text, 100);
+    expect(messages.length).toBe(2);
+    expect(messages[0]).toBe(`${'a'.repeat(40)}\n${'b'.repeat(40)}\n`);
+  });
+
+  test('split long lines', () => {
+    const messages = splitUpMessage('a'.repeat(250), 100);
+    expect(messages.length).toBe(3);
+    messages.forEach(m => expect(m.length).toBeLessThanOrEqual(100));
+    expect(messages[0].endsWith('...')).toBe(true);
+    expect(messages[1].startsWith('...')).toBe(true);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Chat integrations the changelog can be posted to, with `--notify <name>`.
+ *
+ * Each notifier is a class which is constructed with the config and an optional
+ * `DryRun` recorder, and implements:
+ *
+ * ```
+ * isEnabled()            Is the integration configured
+ * notify(content, data)  Post the changelog content. Returns a Promise.
+ * ```
+ */
+
+import Slack from './Slack';
+import Teams from './Teams';
+import Mattermost from './Mattermost';
+
+export const NOTIFIERS = {
+  slack: Slack,
+  teams: Teams,
+  mattermost: Mattermost,
+};
+
+/**
+ * Create a notifier by name.
+ *
+ * @param {String} name - The notifier name (see `NOTIFIERS`)
+ * @param {Object} config - The configuration object
+ * @param {DryRun} dryRun - Record the messages, instead of posting them
+ * @return {Object}
+ */
+export function getNotifier(name, config, dryRun=null) {
+  const Notifier = NOTIFIERS[name.toLowerCase()];
+  if (!Notifier) {
+    throw new Error(`Unknown notifier '${name}'. Use one of: ${Object.keys(NOTIFIERS).join(', ')}`);
+  }
+  return new Notifier(config, dryRun);
+}
@@ -0,0 +1,81 @@
+import { getNotifier } from './notifiers';
+import Slack from './Slack';
+import Teams from './Teams';
+import Mattermost from './Mattermost';
+import DryRun from './DryRun';
+import { getDefaultConfig } from './Config';
+
+const DATA = () => ({
+  jira: { releaseVersions: [{ name: 'v1.2.0' }] },
+});
+
+let config;
+let dryRun;
+beforeEach(() => {
+  config = {
+    ...getDefaultConfig(),
+    teams: { webhookUrl: 'https://outlook.office.com/webhook/123' },
+    mattermost: { webhookUrl: 'https://chat.example.com/hooks/123', channel: 'releases', username: 'Bot' },
+  };
+  dryRun = new DryRun();
+});
+
+describe('Get notifier', () => {
+  test('by name', () => {
+    expect(getNotifier('slack', config)).toBeInstanceOf(Slack);
+    expect(getNotifier('Teams', config)).toBeInstanceOf(Teams);
+    expect(getNotifier('mattermost', config)).toBeInstanceOf(Mattermost);
+  });
+
+  test('unknown notifier', () => {
+    expect(() => getNotifier('irc', config)).toThrow(Error);
+  });
+});
+
+describe('Teams', () => {
+  test('posts an adaptive card', async () => {
+    const teams = new Teams(config, dryRun);
+    await teams.notify('Jira Tickets\n---', DATA());
+
+    expect(dryRun.actions.length).toBe(1);
+    const [payload] = dryRun.actions[0].data;
+    const card = payload.attachments[0];
+    expect(card.contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(card.content.body.map(b => b.text)).toEqual(['Release v1.2.0', 'Jira Tickets\n---']);
+  });
+
+  test('decodes the escaped template output', async () => {
+    const teams = new Teams(config, dryRun);
+    await teams.notify('Don&#39;t crash on &lt;input&gt; &amp; stuff', DATA());
+
+    const [payload] = dryRun.actions[0].data;
+    expect(payload.attachments[0].content.body[1].text).toBe("Don't crash on <input> & stuff");
+  });
+
+  test('not configured', async () => {
+    const teams = new Teams({ ...config, teams: {} }, dryRun);
+    expect(teams.isEnabled()).toBe(false);
+    await expect(teams.notify('foo', DATA())).rejects.toThrow(Error);
+  });
+});
+
+describe('Mattermost', () => {
+  test('posts long messages in chunks', async () => {
+    const mattermost = new Mattermost(config, dryRun);
+    const text = `${'a'.repeat(10000)}\n${'b'.repeat(10000)}`;
+    await mattermost.notify(text, DATA());
+
+    expect(dryRun.actions.length).toBe(2);
+    const [payload] = dryRun.actions[0].data;
+    expect(payload.channel).toBe('releases');
+    expect(payload.username).toBe('Bot');
+  });
+
+  test('decodes the escaped template output', async () => {
+    const mattermost = new Mattermost(config, dryRun);
+    await mattermost.notify('Don&#39;t crash on &lt;input&gt;', DATA());
+
+    const [payload] = dryRun.actions[0].data;
+    expect(payload.text).toBe("Don't crash on <input>");
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Helpers to limit the changelog to the commits which changed certain paths,
+ * for monorepos.
+ *
+ * Path globs are relative to the root of the git workspace:
+ *  + `*` matches any characters, except `/`
+ *  + `**` matches any characters, including `/`
+ *  + `?` matches a single character, except `/`
+ *
+ * A glob also matches everything inside of the directories it matches,
+ * so `services/api` and `services/api/**` are equivalent.
+ */
+
+/**
+ * Convert a path glob into a regular expression.
+ *
+ * @param {String} glob - The path glob
+ * @return {RegExp}
+ */
+export function globToRegExp(glob) {
+  const pattern = glob.replace(/^\.?\/+/, '').replace(/\/+$/, '');
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` can also match no directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+/**
+ * Create a function which tests if a file path matches any of the globs.
+ *
+ * @param {String|Array} globs - The path glob, or list of globs
+ * @return {Function}
+ */
+export function pathMatcher(globs) {
+  const patterns = [].concat(globs).map(globToRegExp);
+  return filePath => patterns.some(re => re.test(filePath));
+}
+
+/**
+ * Filter a list of commit logs to the ones which changed files matching the globs.
+ * Merge commits match when any of the commits they merged changed a matching file.
+ *
+ * @param {Array} logs - List of commit logs, each with a `files` list (see SourceControl)
+ * @param {String|Array} globs - The path glob, or list of globs
+ * @return {Array}
+ */
+export function filterLogsByPaths(logs, globs) {
+  const matches = pathMatcher(globs);
+  return logs.filter(log => (log.files || []).some(file => matches(file.path)));
+}
+
+/**
+ * Get the list of monorepo packages from the `packages` config.
+ *
+ * @param {Object} config - The configuration object
+ * @return {Array} List of packages: `{ name, paths }`
+ */
+export function getPackages(config) {
+  return Object.entries(config.packages || {}).map(([name, paths]) => ({
+    name,
+    paths: [].concat(paths),
+  }));
+}
+
+/**
+ * Combine the file changes of multiple commits, into a single change for each file.
+ * The line counts are added up and the status is the overall change:
+ * added, if any commit added it, deleted if the latest commit deleted it, or modified.
+ *
+ * @param {Array} lists - List of file lists (see SourceControl), from the latest commit to the earliest
+ * @return {Array}
+ */
+export function combineFileChanges(lists) {
+  const files = {};
+
+  lists.forEach((list) => {
+    list.forEach((change) => {
+      const file = files[change.path];
+      if (!file) {
+        files[change.path] = { ...change };
+        return;
+      }
+
+      if (file.additions === null || change.additions === null) {
+        file.additions = null;
+        file.deletions = null;
+      } else {
+        file.additions += change.additions || 0;
+        file.deletions += change.deletions || 0;
+      }
+      if (change.status === 'A' && file.status !== 'D') {
+        file.status = 'A';
+      }
+    });
+  });
+
+  return Object.values(files);
+}
+
+/**
+ * Get the sorted list of directories which contain the files.
+ * Files in the root directory are listed as `.`.
+ *
+ * @param {Array} files - List of file objects (see SourceControl)
+ * @return {Array}
+ */
+export function fileDirectories(files) {
+  const dirs = files.map(({ path }) => {
+    const index = path.lastIndexOf('/');
+    return (index === -1) ? '.' : path.substr(0, index);
+  });
+  return Array.from(new Set(dirs)).sort();
+}
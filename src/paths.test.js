@@ -0,0 +1,87 @@
+import {
+  globToRegExp, pathMatcher, filterLogsByPaths, getPackages, combineFileChanges, fileDirectories,
+} from './paths';
+
+describe('Path globs', () => {
+  test('directory paths match the files inside', () => {
+    const matches = pathMatcher('services/api');
+    expect(matches('services/api/index.js')).toBe(true);
+    expect(matches('services/api/lib/db.js')).toBe(true);
+    expect(matches('services/api-gateway/index.js')).toBe(false);
+    expect(matches('services/web/index.js')).toBe(false);
+  });
+
+  test('single star does not match directories', () => {
+    const re = globToRegExp('apps/*.json');
+    expect(re.test('apps/package.json')).toBe(true);
+    expect(re.test('apps/web/package.json')).toBe(false);
+  });
+
+  test('double star matches any directories', () => {
+    const matches = pathMatcher('libs/**/*.ts');
+    expect(matches('libs/index.ts')).toBe(true);
+    expect(matches('libs/ui/button/index.ts')).toBe(true);
+    expect(matches('libs/ui/button/index.js')).toBe(false);
+  });
+
+  test('multiple globs', () => {
+    const matches = pathMatcher(['./apps/web/', 'libs/ui/**']);
+    expect(matches('apps/web/index.js')).toBe(true);
+    expect(matches('libs/ui/button.js')).toBe(true);
+    expect(matches('libs/db/index.js')).toBe(false);
+  });
+});
+
+test('Filter commit logs by paths', () => {
+  const logs = [
+    { revision: '1', files: [{ path: 'services/api/index.js' }] },
+    { revision: '2', files: [{ path: 'README.md' }] },
+    { revision: '3', files: [{ path: 'README.md' }, { path: 'services/api/db.js' }] },
+    { revision: '4' },
+  ];
+  expect(filterLogsByPaths(logs, 'services/api').map(l => l.revision)).toEqual(['1', '3']);
+});
+
+test('Get packages from the config', () => {
+  const packages = getPackages({ packages: { api: 'services/api', web: ['apps/web', 'libs/ui'] } });
+  expect(packages).toEqual([
+    { name: 'api', paths: ['services/api'] },
+    { name: 'web', paths: ['apps/web', 'libs/ui'] },
+  ]);
+  expect(getPackages({})).toEqual([]);
+});
+
+describe('File changes', () => {
+  test('combine the changes of multiple commits', () => {
+    const files = combineFileChanges([
+      [
+        { path: 'api/index.js', status: 'M', additions: 2, deletions: 1 },
+        { path: 'db/old.sql', status: 'D', additions: 0, deletions: 5 },
+      ],
+      [
+        { path: 'api/index.js', status: 'A', additions: 10, deletions: 0 },
+        { path: 'db/old.sql', status: 'A', additions: 5, deletions: 0 },
+        { path: 'logo.png', status: 'A', additions: null, deletions: null },
+      ],
+      [
+        { path: 'logo.png', status: 'M', additions: null, deletions: null },
+      ],
+    ]);
+
+    expect(files).toEqual([
+      { path: 'api/index.js', status: 'A', additions: 12, deletions: 1 },
+      { path: 'db/old.sql', status: 'D', additions: 5, deletions: 5 },
+      { path: 'logo.png', status: 'A', additions: null, deletions: null },
+    ]);
+  });
+
+  test('list the directories of the files', () => {
+    const files = [
+      { path: 'db/migrations/002.sql' },
+      { path: 'api/index.js' },
+      { path: 'db/migrations/001.sql' },
+      { path: 'README.md' },
+    ];
+    expect(fileDirectories(files)).toEqual(['.', 'api', 'db/migrations']);
+  });
+});
@@ -0,0 +1,129 @@
+import _ from 'lodash';
+
+/**
+ * Maximum length of the text in a section block.
+ */
+export const SECTION_TEXT_LIMIT = 3000;
+
+/**
+ * Escape the control characters in slack's mrkdwn text.
+ *
+ * @param {String} text
+ * @return {String}
+ */
+export function escapeText(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Create section blocks for a titled list of lines.
+ * If the text is longer than slack's limit, it is split into multiple sections.
+ *
+ * @param {String} title - The section title
+ * @param {Array} lines - The lines of text in the section
+ * @return {Array}
+ */
+export function sectionBlocks(title, lines) {
+  const blocks = [];
+  let text = `*${title}*`;
+
+  lines.forEach((line) => {
+    line = line.substr(0, SECTION_TEXT_LIMIT);
+    if (text.length + line.length + 1 > SECTION_TEXT_LIMIT) {
+      blocks.push(text);
+      text = '';
+    }
+    text = (text.length) ? `${text}\n${line}` : line;
+  });
+  blocks.push(text);
+
+  return blocks.map(t => ({
+    type: 'section',
+    text: { type: 'mrkdwn', text: t },
+  }));
+}
+
+/**
+ * Return the slack mention or name for a person.
+ *
+ * @param {Object} slackUser - The slack user object, if one was found
+ * @param {String} name - The fallback name
+ * @return {String}
+ */
+function mention(slackUser, name) {
+  return (slackUser) ? `<@${slackUser.id}>` : escapeText(name);
+}
+
+/**
+ * Create the slack Block Kit blocks for the changelog template data.
+ *
+ *  + A header with the release name
+ *  + A section per ticket type, with links to each ticket
+ *  + Sections for other commits, pending approvals and reverted tickets
+ *  + A context block with the commit authors
+ *
+ * @param {Object} data - Template data created by `generateTemplateData()`
+ * @return {Array} List of blocks
+ */
+export function buildSlackBlocks(data) {
+  const { jira, commits, tickets, options } = data;
+  const ticketLink = ticket => `<${jira.baseUrl}/browse/${ticket.key}|${ticket.key}>`;
+  const blocks = [];
+
+  // Header
+  const release = (jira.releaseVersions && jira.releaseVersions.length) ? jira.releaseVersions[0].name : null;
+  blocks.push({
+    type: 'header',
+    text: { type: 'plain_text', text: ((release) ? `Release ${release}` : 'Changelog').substr(0, 150) },
+  });
+
+  // Tickets by type
+  const ticketList = tickets.all.filter(t => !t.reverted);
+  const byType = _.groupBy(ticketList, t => t.fields.issuetype.name);
+  Object.entries(byType).forEach(([type, list]) => {
+    const lines = list.map(t => `• ${ticketLink(t)} ${escapeText(t.fields.summary)}`);
+    blocks.push(...sectionBlocks(escapeText(type), lines));
+  });
+  if (!ticketList.length && !options.hideEmptyBlocks) {
+    blocks.push(...sectionBlocks('Jira Tickets', ['_None_']));
+  }
+
+  // Other commits
+  if (commits.noTickets.length || !options.hideEmptyBlocks) {
+    const lines = commits.noTickets.map(c => (
+      `• \`${c.revision.substr(0, 7)}\` ${escapeText(c.summary)} - ${mention(c.slackUser, c.authorName)}`
+    ));
+    blocks.push(...sectionBlocks('Other Commits', (lines.length) ? lines : ['_None_']));
+  }
+
+  // Pending approval
+  if (tickets.pendingByOwner.length || !options.hideEmptyBlocks) {
+    const lines = tickets.pendingByOwner.map(owner => (
+      `• ${mention(owner.slackUser, owner.email)}: ${owner.tickets.map(ticketLink).join(', ')}`
+    ));
+    blocks.push(...sectionBlocks('Pending Approval', (lines.length) ? lines : ['_None. Yay!_']));
+  }
+
+  // Reverted
+  if (tickets.reverted.length) {
+    const lines = tickets.reverted.map(t => `• ${ticketLink(t)} ${escapeText(t.fields.summary)}`);
+    blocks.push(...sectionBlocks('Reverted', lines));
+  }
+
+  // Authors
+  const authors = _.uniq(commits.all.map(c => mention(c.slackUser, c.authorName)));
+  if (authors.length) {
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `Authors: ${authors.join(', ')}`.substr(0, SECTION_TEXT_LIMIT),
+      }],
+    });
+  }
+
+  return blocks;
+}
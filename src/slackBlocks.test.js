@@ -0,0 +1,69 @@
+import {
+  escapeText,
+  sectionBlocks,
+  buildSlackBlocks,
+  SECTION_TEXT_LIMIT,
+} from './slackBlocks';
+import { generateTemplateData } from './template';
+import { getDefaultConfig } from './Config';
+
+const createTicket = (key, type, summary) => ({
+  key,
+  fields: {
+    summary,
+    issuetype: { name: type },
+    reporter: { email: 'za@nowhere.com' },
+    status: { name: 'QA' },
+  },
+});
+
+const commitLogs = () => [
+  {
+    revision: 'abcdef123456',
+    summary: 'Add login page',
+    authorName: 'Za',
+    tickets: [createTicket('ENG-1', 'Story', 'Login page')],
+  },
+  {
+    revision: 'bcdef1234567',
+    summary: 'Fix <html> & stuff',
+    authorName: 'John',
+    slackUser: { id: 'U123', name: 'john' },
+    tickets: [createTicket('ENG-2', 'Bug', 'Broken link')],
+  },
+  {
+    revision: 'cdef12345678',
+    summary: 'Update readme',
+    authorName: 'Za',
+    tickets: [],
+  },
+];
+
+test('escape mrkdwn control characters', () => {
+  expect(escapeText('a < b & c > d')).toBe('a &lt; b &amp; c &gt; d');
+});
+
+test('long sections are split up', () => {
+  const line = 'x'.repeat(1000);
+  const blocks = sectionBlocks('Title', [line, line, line, line]);
+  expect(blocks.length).toBe(2);
+  blocks.forEach(b => expect(b.text.text.length).toBeLessThanOrEqual(SECTION_TEXT_LIMIT));
+  expect(blocks[0].text.text.startsWith('*Title*\n')).toBe(true);
+});
+
+test('changelog blocks', async () => {
+  const config = getDefaultConfig();
+  const data = await generateTemplateData(config, commitLogs(), [{ name: 'v1.2.0' }]);
+  const blocks = buildSlackBlocks(data);
+
+  expect(blocks[0]).toEqual({ type: 'header', text: { type: 'plain_text', text: 'Release v1.2.0' } });
+
+  const texts = blocks.filter(b => b.type === 'section').map(b => b.text.text);
+  expect(texts).toContain(`*Bug*\n• <${config.jira.baseUrl}/browse/ENG-2|ENG-2> Broken link`);
+  expect(texts).toContain(`*Story*\n• <${config.jira.baseUrl}/browse/ENG-1|ENG-1> Login page`);
+  expect(texts).toContain('*Other Commits*\n• `cdef123` Update readme - Za');
+
+  const context = blocks[blocks.length - 1];
+  expect(context.type).toBe('context');
+  expect(context.elements[0].text).toBe('Authors: Za, <@U123>');
+});
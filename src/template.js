@@ -1,6 +1,30 @@
 
 import ejs from 'ejs';
 import _ from 'lodash';
+import markdownTemplate from './templates/markdown';
+import htmlTemplate from './templates/html';
+import { combineFileChanges, fileDirectories } from './paths';
+
+/**
+ * Output formats supported by `renderTemplate`.
+ * The `text` format renders the `template` defined in the config.
+ */
+export const FORMATS = ['text', 'markdown', 'html', 'json'];
+
+/**
+ * Group titles of the commits in `commits.byType`, for the Conventional Commit types
+ * which are not in the `commitTypes` config, and for the other commits.
+ */
+export const CHORES_TITLE = 'Chores';
+export const OTHER_COMMITS_TITLE = 'Other Commits';
+
+/**
+ * Bundled templates for each output format.
+ */
+const FORMAT_TEMPLATES = {
+  markdown: markdownTemplate,
+  html: htmlTemplate,
+};
 
 
 /**
@@ -76,6 +100,37 @@ export function decorateTicketReverts(tickets) {
   return tickets;
 }
 
+/**
+ * Add the list of pull requests which merged each ticket's commits, as `pullRequests`.
+ *
+ * @param {Array} tickets - Array of jira ticket objects, each with a commit list
+ * @return {Array}
+ */
+export function decorateTicketPullRequests(tickets) {
+  tickets.forEach((ticket) => {
+    const pullRequests = (ticket.commits || [])
+      .map(commit => commit.pullRequest)
+      .filter(pr => pr);
+    ticket.pullRequests = _.uniqBy(pullRequests, pr => `${pr.provider}:${pr.number}`);
+  });
+  return tickets;
+}
+
+/**
+ * Add the files changed by each ticket's commits, as `files`, and the
+ * directories which contain them, as `directories`.
+ *
+ * @param {Array} tickets - Array of jira ticket objects, each with a commit list
+ * @return {Array}
+ */
+export function decorateTicketFiles(tickets) {
+  tickets.forEach((ticket) => {
+    ticket.files = combineFileChanges((ticket.commits || []).map(commit => commit.files || []));
+    ticket.directories = fileDirectories(ticket.files);
+  });
+  return tickets;
+}
+
 /**
  * Fetch the contact information of the reporters of a list of tickets.
  *
@@ -86,7 +141,8 @@ export function getTicketReporters(tickets) {
   const reporters = {};
 
   tickets.forEach((ticket) => {
-    const { email, displayName } = ticket.fields.reporter || [];
+    const { emailAddress, displayName } = ticket.fields.reporter || {};
+    const email = emailAddress || (ticket.fields.reporter || {}).email;
     if (!reporters[email]) {
       reporters[email] = {
         email,
@@ -140,6 +196,75 @@ export function groupTicketsByStatus(config, tickets) {
   return out;
 }
 
+/**
+ * Group commits by their Conventional Commit type, with the group titles from
+ * the `commitTypes` config. Types which aren't in the config are grouped as "Chores",
+ * and commits which aren't Conventional Commits are grouped as "Other Commits".
+ *
+ * Groups are ordered by the config, followed by "Chores" and "Other Commits".
+ * Empty groups are left out.
+ *
+ * @param {Object} config - The config object
+ * @param {Array} commits - List of commit logs
+ * @return {Array} List of `{ title, commits }` objects
+ */
+export function groupCommitsByType(config, commits) {
+  const titles = config.commitTypes || {};
+  const groups = {};
+
+  commits.forEach((commit) => {
+    const { conventional } = commit;
+    let title = OTHER_COMMITS_TITLE;
+    if (conventional) {
+      title = titles[conventional.type] || CHORES_TITLE;
+    }
+    groups[title] = groups[title] || [];
+    groups[title].push(commit);
+  });
+
+  return _.uniq([...Object.values(titles), CHORES_TITLE, OTHER_COMMITS_TITLE])
+    .filter(title => groups[title])
+    .map(title => ({ title, commits: groups[title] }));
+}
+
+/**
+ * Arrange tickets under the epic they belong to (see `Jira.findEpic`).
+ * Groups are sorted by the epic summary, with tickets that are not in an epic last.
+ *
+ * For example output:
+ * ```
+ *    [
+ *      { epic: { key: 'ENG-1', fields: {...} }, tickets: [...] },
+ *      { epic: null, tickets: [...] }, // no epic
+ *    ]
+ * ```
+ *
+ * @param {Array} tickets - List of Jira tickets
+ * @return {Array}
+ */
+export function groupTicketsByEpic(tickets) {
+  const groups = {};
+  const noEpic = { epic: null, tickets: [] };
+
+  tickets.forEach((ticket) => {
+    const { epic } = ticket;
+    if (!epic) {
+      noEpic.tickets.push(ticket);
+      return;
+    }
+    groups[epic.key] = groups[epic.key] || { epic, tickets: [] };
+    groups[epic.key].tickets.push(ticket);
+  });
+
+  const list = _.sortBy(Object.values(groups), ({ epic }) => (
+    (epic.fields && epic.fields.summary) || epic.key
+  ));
+  if (noEpic.tickets.length) {
+    list.push(noEpic);
+  }
+  return list;
+}
+
 /**
  * Filter commit logs into template data.
  *
@@ -150,12 +275,15 @@ export function groupTicketsByStatus(config, tickets) {
  *      all: [],       // all commits
  *      tickets: [],   // commits associated with jira tickets
  *      noTickets: [], // commits not associated with jira tickets
+ *      byType: [],    // commits not associated with jira tickets, grouped by Conventional Commit type.
+ *      breaking: [],  // Conventional Commits with breaking changes
  *    },
  *    tickets: {
  *      all: [],       // all tickets
  *      approved: [],  // tickets marked as approved
  *      pending: [],   // tickets not marked as approved
  *      pendingByOwner: [], // pending tickets arranged under ticket reporters.
+ *      byEpic: [],    // tickets arranged under the epic they belong to.
  *    }
  *  }
  *
@@ -178,8 +306,10 @@ export function transformCommitLogs(config, logs) {
     return all;
   }, {});
 
-  // Mark tickets as reverted
+  // Mark tickets as reverted and add their pull requests and changed files
   decorateTicketReverts(Object.values(ticketHash));
+  decorateTicketPullRequests(Object.values(ticketHash));
+  decorateTicketFiles(Object.values(ticketHash));
 
   // Sort tickets by type name and get pending tickets
   let ticketList = _.sortBy(Object.values(ticketHash), ticket => ticket.fields.issuetype.name);
@@ -187,12 +317,15 @@ export function transformCommitLogs(config, logs) {
   const pendingByOwner = getTicketReporters(tixByStatus.pending);
 
   // Output filtered data
+  const noTickets = reducedLogs.filter(commit => !commit.tickets.length);
   return {
     commits: {
+      noTickets,
       all: reducedLogs,
       tickets: reducedLogs.filter(commit => commit.tickets.length),
-      noTickets: reducedLogs.filter(commit => !commit.tickets.length),
       reverted: reducedLogs.filter(l => l.reverted || l.revertedBy),
+      byType: groupCommitsByType(config, noTickets),
+      breaking: reducedLogs.filter(commit => commit.conventional && commit.conventional.breaking),
     },
     tickets: {
       pendingByOwner,
@@ -200,6 +333,7 @@ export function transformCommitLogs(config, logs) {
       approved: tixByStatus.approved,
       pending: tixByStatus.pending,
       reverted: ticketList.filter(t => t.reverted),
+      byEpic: groupTicketsByEpic(ticketList),
     }
   }
 }
@@ -229,14 +363,168 @@ export async function generateTemplateData(config, changelog, releaseVersions) {
   return data;
 }
 
+/**
+ * Serialize a commit log for JSON output.
+ * Ticket objects are replaced by their keys and merged commits by their revisions,
+ * to avoid circular references.
+ *
+ * @param {Object} commit - Commit log object
+ * @return {Object}
+ */
+function serializeCommit(commit) {
+  const { tickets, graph, ...props } = commit;
+  const out = { ...props };
+  if (tickets) {
+    out.tickets = tickets.map(t => t.key);
+  }
+  if (graph) {
+    out.merged = graph.merged.map(c => c.revision);
+  }
+  return out;
+}
+
+/**
+ * Serialize a commit list, or a list of commit groups (i.e. `byType`), for JSON output.
+ *
+ * @param {Array} list - List of commits or commit groups
+ * @return {Array}
+ */
+function serializeCommitList(list) {
+  return list.map((item) => {
+    if (!item.revision && Array.isArray(item.commits)) {
+      return { ...item, commits: item.commits.map(serializeCommit) };
+    }
+    return serializeCommit(item);
+  });
+}
+
+/**
+ * Serialize a Jira ticket for JSON output.
+ * Commit objects are replaced by their revisions, to avoid circular references.
+ *
+ * @param {Object} ticket - Jira ticket object
+ * @return {Object}
+ */
+function serializeTicket(ticket) {
+  const { commits, epic, includedSubtasks, ...props } = ticket;
+  const out = { ...props };
+  if (commits) {
+    out.commits = commits.map(c => c.revision);
+  }
+  if (epic) {
+    out.epic = serializeTicket(epic);
+  }
+  if (includedSubtasks) {
+    out.includedSubtasks = includedSubtasks.map(serializeTicket);
+  }
+  return out;
+}
+
+/**
+ * Serialize a ticket list, or a list of ticket groups (i.e. `pendingByOwner`),
+ * for JSON output.
+ *
+ * @param {Array} list - List of tickets or ticket groups
+ * @return {Array}
+ */
+function serializeTicketList(list) {
+  return list.map((item) => {
+    if (!item.fields && Array.isArray(item.tickets)) {
+      const group = { ...item, tickets: item.tickets.map(serializeTicket) };
+      if (item.epic) {
+        group.epic = serializeTicket(item.epic);
+      }
+      return group;
+    }
+    return serializeTicket(item);
+  });
+}
+
+/**
+ * Convert the template data into a JSON string, which can be consumed by other tools.
+ *
+ * @param {Object} data - Template data created by `generateTemplateData()`
+ *
+ * @return {String}
+ */
+export function serializeTemplateData(data) {
+  const out = { ...data };
+  if (data.commits) {
+    out.commits = _.mapValues(data.commits, list => (
+      Array.isArray(list) ? serializeCommitList(list) : list
+    ));
+  }
+  if (data.tickets) {
+    out.tickets = _.mapValues(data.tickets, list => (
+      Array.isArray(list) ? serializeTicketList(list) : list
+    ));
+  }
+  return JSON.stringify(out, null, 2);
+}
+
 /**
  * Render the changelog template and provide output.
  *
  * @param {Object} config - The configuration object
  * @param {Array} data - Template data created by `generateTemplateData()`
+ * @param {String} format - The output format (see `FORMATS`)
+ *
+ * @return {String}
+ */
+export function renderTemplate(config, data, format='text') {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown output format '${format}'. Use one of: ${FORMATS.join(', ')}`);
+  }
+  if (format === 'json') {
+    return serializeTemplateData(data);
+  }
+  return ejs.render(FORMAT_TEMPLATES[format] || config.template, data);
+}
+
+/**
+ * Copy a list of commit logs and their tickets, so template data can be generated
+ * from it without changing the original tickets (i.e. for each monorepo package).
+ * A ticket that's in multiple commits is still the same object in the copy.
+ *
+ * @param {Array} logs - List of commit logs and their jira tickets.
+ * @return {Array}
+ */
+export function cloneCommitLogs(logs) {
+  const tickets = {};
+  const cloneTicket = (ticket) => {
+    tickets[ticket.key] = tickets[ticket.key] || { ...ticket, fields: { ...ticket.fields } };
+    return tickets[ticket.key];
+  };
+  return logs.map(log => ({ ...log, tickets: log.tickets.map(cloneTicket) }));
+}
+
+/**
+ * Combine the changelogs of monorepo packages into a single output,
+ * with a heading for each package.
+ *
+ * @param {Array} sections - List of `{ name, content }` objects, with the rendered changelog of each package
+ * @param {String} format - The output format (see `FORMATS`)
  *
  * @return {String}
  */
-export function renderTemplate(config, data) {
-  return ejs.render(config.template, data);
+export function formatPackageSections(sections, format='text') {
+  switch (format) {
+    case 'json': {
+      const packages = sections.reduce((all, { name, content }) => {
+        all[name] = JSON.parse(content);
+        return all;
+      }, {});
+      return JSON.stringify({ packages }, null, 2);
+    }
+    case 'html':
+      return sections
+        .map(({ name, content }) => `<section>\n<h1>${_.escape(name)}</h1>\n${content.trim()}\n</section>`)
+        .join('\n');
+    case 'markdown':
+      return sections.map(({ name, content }) => `# ${name}\n\n${content.trim()}\n`).join('\n');
+    default:
+      return sections
+        .map(({ name, content }) => `${name}\n${'='.repeat(name.length)}\n${content.trimEnd()}\n`)
+        .join('\n');
+  }
 }
@@ -2,9 +2,16 @@
 import {
   filterRevertedCommits,
   decorateTicketReverts,
+  decorateTicketPullRequests,
+  decorateTicketFiles,
   getTicketReporters,
   groupTicketsByStatus,
+  groupTicketsByEpic,
+  groupCommitsByType,
   transformCommitLogs, generateTemplateData, renderTemplate,
+  serializeTemplateData,
+  cloneCommitLogs,
+  formatPackageSections,
 } from './template';
 import {getDefaultConfig} from "./Config";
 
@@ -122,6 +129,19 @@ test('Get all ticket reporters', () => {
   expect(tom.tickets.map(t => t.key)).toEqual(['ENG-345']);
 });
 
+test('Ticket reporters use the Jira emailAddress field', () => {
+  const tickets = [
+    {
+      key: 'ENG-1',
+      fields: {
+        reporter: { emailAddress: 'za@za.com', displayName: 'Za' },
+      }
+    },
+  ];
+  const [za] = getTicketReporters(tickets);
+  expect(za.email).toBe('za@za.com');
+});
+
 describe('Get pending tickets', () => {
   test('single approval status in config', () => {
     const tickets = [
@@ -211,6 +231,22 @@ describe('Get pending tickets', () => {
   });
 });
 
+test('Group tickets by epic', () => {
+  const epicA = { key: 'ENG-1', fields: { summary: 'Search' } };
+  const epicB = { key: 'ENG-2', fields: { summary: 'Login' } };
+  const tickets = [
+    { key: 'ENG-10', epic: epicA },
+    { key: 'ENG-11' },
+    { key: 'ENG-12', epic: epicB },
+    { key: 'ENG-13', epic: epicA },
+  ];
+
+  const groups = groupTicketsByEpic(tickets);
+  expect(groups.map(g => g.epic && g.epic.key)).toEqual(['ENG-2', 'ENG-1', null]);
+  expect(groups[1].tickets.map(t => t.key)).toEqual(['ENG-10', 'ENG-13']);
+  expect(groups[2].tickets.map(t => t.key)).toEqual(['ENG-11']);
+});
+
 // Pull it all together
 test('transform commit logs into template data', () => {
   const createTicket = (key, reporter, status) => (
@@ -284,6 +320,7 @@ test('transform commit logs into template data', () => {
   expect(tickets.pending.length).toBe(4);
   expect(tickets.pendingByOwner.length).toBe(3);
   expect(tickets.reverted.length).toBe(2);
+  expect(tickets.byEpic.length).toBe(1);
 });
 
 test('hideEmptyBlocks with false', async () => {
@@ -307,3 +344,210 @@ test('hideEmptyBlocks with true', async () => {
 
   expect(templateRendered).not.toContain('~ None ~');
 });
+
+describe('Output formats', () => {
+  const commitLogs = () => [
+    {
+      revision: 'abcdef123456',
+      date: '2020-02-04T16:02:36-08:00',
+      summary: 'Add login page',
+      authorName: 'Za',
+      graph: { merged: [] },
+      tickets: [
+        {
+          key: 'ENG-123',
+          fields: {
+            summary: 'Login page',
+            issuetype: { name: 'Story' },
+            reporter: { email: 'za', displayName: 'za' },
+            status: { name: 'Done' },
+          }
+        },
+      ]
+    },
+  ];
+
+  let config;
+  beforeEach(() => {
+    config = getDefaultConfig();
+  });
+
+  test('markdown', async () => {
+    const templateData = await generateTemplateData(config, commitLogs(), []);
+    const templateRendered = renderTemplate(config, templateData, 'markdown');
+
+    expect(templateRendered).toContain('### Jira Tickets');
+    expect(templateRendered).toContain(`[ENG-123](${config.jira.baseUrl}/browse/ENG-123)`);
+  });
+
+  test('html', async () => {
+    const templateData = await generateTemplateData(config, commitLogs(), []);
+    const templateRendered = renderTemplate(config, templateData, 'html');
+
+    expect(templateRendered).toContain('<h3>Jira Tickets</h3>');
+    expect(templateRendered).toContain(`<a href="${config.jira.baseUrl}/browse/ENG-123">ENG-123</a>`);
+  });
+
+  test('json without circular references', async () => {
+    const templateData = await generateTemplateData(config, commitLogs(), []);
+    const json = JSON.parse(renderTemplate(config, templateData, 'json'));
+
+    expect(json.commits.all[0].tickets).toEqual(['ENG-123']);
+    expect(json.tickets.all[0].commits).toEqual(['abcdef123456']);
+    expect(json.tickets.all[0].fields.summary).toBe('Login page');
+    expect(json.jira.baseUrl).toBe(config.jira.baseUrl);
+  });
+
+  test('json serializes ticket groups', async () => {
+    const templateData = await generateTemplateData(config, commitLogs(), []);
+    templateData.tickets.pendingByOwner = [{ email: 'za', tickets: templateData.tickets.all }];
+    const json = JSON.parse(serializeTemplateData(templateData));
+
+    expect(json.tickets.pendingByOwner[0].tickets[0].commits).toEqual(['abcdef123456']);
+  });
+
+  test('json serializes commit groups', async () => {
+    const logs = [
+      ...commitLogs(),
+      { revision: '123456abcdef', summary: 'chore: deps', tickets: [], conventional: { type: 'chore' } },
+    ];
+    const templateData = await generateTemplateData(config, logs, []);
+    const json = JSON.parse(serializeTemplateData(templateData));
+
+    expect(json.commits.byType).toEqual([
+      { title: 'Chores', commits: [expect.objectContaining({ revision: '123456abcdef', tickets: [] })] },
+    ]);
+  });
+
+  test('unknown format', async () => {
+    const templateData = await generateTemplateData(config, [], []);
+    expect(() => renderTemplate(config, templateData, 'pdf')).toThrow(Error);
+  });
+});
+
+test('Tickets list the pull requests of their commits', () => {
+  const tickets = [
+    {
+      key: 'ENG-1',
+      commits: [
+        { revision: '1', pullRequest: { number: 12, provider: 'github' } },
+        { revision: '2', pullRequest: { number: 12, provider: 'github' } },
+        { revision: '3', pullRequest: null },
+        { revision: '4', pullRequest: { number: 15, provider: 'github' } },
+      ],
+    },
+    { key: 'ENG-2' },
+  ];
+  decorateTicketPullRequests(tickets);
+  expect(tickets[0].pullRequests.map(pr => pr.number)).toEqual([12, 15]);
+  expect(tickets[1].pullRequests).toEqual([]);
+});
+
+describe('Monorepo packages', () => {
+  test('Clone commit logs and their tickets', () => {
+    const ticket = { key: 'ENG-1', fields: { summary: 'Foo' } };
+    const logs = [
+      { revision: '1', tickets: [ticket] },
+      { revision: '2', tickets: [ticket] },
+    ];
+    const cloned = cloneCommitLogs(logs);
+
+    expect(cloned[0]).not.toBe(logs[0]);
+    expect(cloned[0].tickets[0]).not.toBe(ticket);
+    expect(cloned[0].tickets[0]).toBe(cloned[1].tickets[0]);
+
+    cloned[0].tickets[0].commits = [cloned[0]];
+    cloned[0].tickets[0].fields.summary = 'Bar';
+    expect(ticket.commits).toBeUndefined();
+    expect(ticket.fields.summary).toBe('Foo');
+  });
+
+  const sections = [
+    { name: 'api', content: 'API changes\n' },
+    { name: 'web', content: 'Web changes\n' },
+  ];
+
+  test('Text sections', () => {
+    expect(formatPackageSections(sections, 'text')).toBe('api\n===\nAPI changes\n\nweb\n===\nWeb changes\n');
+  });
+
+  test('Markdown sections', () => {
+    expect(formatPackageSections(sections, 'markdown')).toBe('# api\n\nAPI changes\n\n# web\n\nWeb changes\n');
+  });
+
+  test('JSON sections', () => {
+    const json = formatPackageSections([
+      { name: 'api', content: '{"commits":{}}' },
+      { name: 'web', content: '{"tickets":{}}' },
+    ], 'json');
+    expect(JSON.parse(json)).toEqual({ packages: { api: { commits: {} }, web: { tickets: {} } } });
+  });
+});
+
+test('Tickets list the files changed by their commits', () => {
+  const tickets = [
+    {
+      key: 'ENG-1',
+      commits: [
+        { revision: '2', files: [{ path: 'db/migrations/002.sql', status: 'A', additions: 4, deletions: 0 }] },
+        { revision: '1', files: [{ path: 'api/index.js', status: 'M', additions: 1, deletions: 1 }] },
+      ],
+    },
+    { key: 'ENG-2', commits: [{ revision: '3' }] },
+  ];
+  decorateTicketFiles(tickets);
+
+  expect(tickets[0].files.map(f => f.path)).toEqual(['db/migrations/002.sql', 'api/index.js']);
+  expect(tickets[0].directories).toEqual(['api', 'db/migrations']);
+  expect(tickets[1].files).toEqual([]);
+  expect(tickets[1].directories).toEqual([]);
+});
+
+describe('Conventional Commits', () => {
+  const commit = (revision, conventional, tickets=[]) => ({ revision, summary: `commit ${revision}`, conventional, tickets });
+  const config = { jira: { approvalStatus: ['Done'] }, commitTypes: { feat: 'Features', fix: 'Fixes', perf: 'Fixes' } };
+
+  test('group commits by type', () => {
+    const groups = groupCommitsByType(config, [
+      commit('1', null),
+      commit('2', { type: 'fix' }),
+      commit('3', { type: 'chore' }),
+      commit('4', { type: 'perf' }),
+      commit('5', { type: 'docs' }),
+    ]);
+
+    expect(groups.map(g => [g.title, g.commits.map(c => c.revision)])).toEqual([
+      ['Fixes', ['2', '4']],
+      ['Chores', ['3', '5']],
+      ['Other Commits', ['1']],
+    ]);
+  });
+
+  test('commits without tickets by type, and breaking changes', () => {
+    const ticket = { key: 'ENG-1', fields: { issuetype: { name: 'Story' }, status: { name: 'Done' } } };
+    const { commits } = transformCommitLogs(config, [
+      commit('1', { type: 'feat', breaking: true }),
+      commit('2', { type: 'feat', breaking: true }, [ticket]),
+      commit('3', { type: 'fix', breaking: false }),
+    ]);
+
+    expect(commits.byType.map(g => [g.title, g.commits.map(c => c.revision)])).toEqual([
+      ['Features', ['1']],
+      ['Fixes', ['3']],
+    ]);
+    expect(commits.breaking.map(c => c.revision)).toEqual(['1', '2']);
+  });
+
+  test('default template groups the commits', async () => {
+    const defaultConfig = getDefaultConfig();
+    const data = await generateTemplateData(defaultConfig, [
+      { ...commit('abcdef1', { type: 'feat', description: 'drop v1', breaking: true, breakingNote: null }), authorName: 'Za' },
+      { ...commit('abcdef2', null), authorName: 'Za' },
+    ], []);
+    const rendered = renderTemplate(defaultConfig, data);
+
+    expect(rendered).toContain('Breaking Changes\n---------------------\n  * <abcdef1> - drop v1');
+    expect(rendered).toContain('Features\n---------------------\n  * Za - <abcdef1> - commit abcdef1');
+    expect(rendered).toContain('Other Commits\n---------------------\n  * Za - <abcdef2> - commit abcdef2');
+  });
+});
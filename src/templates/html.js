@@ -0,0 +1,63 @@
+/**
+ * HTML changelog template, used with `--format html`.
+ */
+export default
+`<% if (jira.releaseVersions && jira.releaseVersions.length) {  -%>
+<h2>Release <%= jira.releaseVersions[0].name %></h2>
+<ul>
+<% jira.releaseVersions.forEach((release) => { -%>
+  <li><a href="<%= jira.baseUrl + '/projects/' + release.projectKey + '/versions/' + release.id %>"><%= release.projectKey %></a></li>
+<% }); -%>
+</ul>
+<% } -%>
+<% blockTickets = tickets.all.filter((t) => !t.reverted); -%>
+<% if (blockTickets.length > 0 || !options.hideEmptyBlocks) { -%>
+<h3>Jira Tickets</h3>
+<ul>
+<% blockTickets.forEach(ticket => { -%>
+  <li><strong><%= ticket.fields.issuetype.name %></strong> - <%= ticket.fields.summary %> <a href="<%= jira.baseUrl + '/browse/' + ticket.key %>"><%= ticket.key %></a></li>
+<% }); -%>
+<% if (!blockTickets.length) { -%>
+  <li><em>None</em></li>
+<% } -%>
+</ul>
+<% } -%>
+<% blockNoTickets = commits.noTickets; -%>
+<% if (blockNoTickets.length > 0 || !options.hideEmptyBlocks) { -%>
+<h3>Other Commits</h3>
+<ul>
+<% blockNoTickets.forEach(commit => { -%>
+  <li><%= commit.slackUser ? '@'+commit.slackUser.name : commit.authorName %> - <code><%= commit.revision.substr(0, 7) %></code> - <%= commit.summary %></li>
+<% }); -%>
+<% if (!blockNoTickets.length) { -%>
+  <li><em>None</em></li>
+<% } -%>
+</ul>
+<% } -%>
+<% blockPendingByOwner = tickets.pendingByOwner; -%>
+<% if (blockPendingByOwner.length > 0 || !options.hideEmptyBlocks) { -%>
+<h3>Pending Approval</h3>
+<ul>
+<% blockPendingByOwner.forEach(owner => { -%>
+  <li><%= (owner.slackUser) ? '@'+owner.slackUser.name : owner.email %>
+    <ul>
+<% owner.tickets.forEach((ticket) => { -%>
+      <li><a href="<%= jira.baseUrl + '/browse/' + ticket.key %>"><%= ticket.key %></a></li>
+<% }); -%>
+    </ul>
+  </li>
+<% }); -%>
+<% if (!blockPendingByOwner.length) { -%>
+  <li><em>None. Yay!</em></li>
+<% } -%>
+</ul>
+<% } -%>
+<% if (tickets.reverted.length) { -%>
+<h3>Reverted</h3>
+<ul>
+<% tickets.reverted.forEach((ticket) => { -%>
+  <li><strong><%= ticket.fields.issuetype.name %></strong> - <%= ticket.fields.summary %> <a href="<%= jira.baseUrl + '/browse/' + ticket.key %>"><%= ticket.key %></a> (commit: <code><%= ticket.reverted %></code>)</li>
+<% }); -%>
+</ul>
+<% } -%>
+`;
@@ -0,0 +1,59 @@
+/**
+ * Markdown changelog template, used with `--format markdown`.
+ */
+export default
+`<% if (jira.releaseVersions && jira.releaseVersions.length) {  -%>
+## Release <%= jira.releaseVersions[0].name %>
+
+<% jira.releaseVersions.forEach((release) => { -%>
+* [<%= release.projectKey %>](<%= jira.baseUrl + '/projects/' + release.projectKey + '/versions/' + release.id %>)
+<% }); -%>
+
+<% } -%>
+<% blockTickets = tickets.all.filter((t) => !t.reverted); -%>
+<% if (blockTickets.length > 0 || !options.hideEmptyBlocks) { -%>
+### Jira Tickets
+
+<% blockTickets.forEach(ticket => { -%>
+* **<%= ticket.fields.issuetype.name %>** - <%- ticket.fields.summary %> [<%= ticket.key %>](<%= jira.baseUrl + '/browse/' + ticket.key %>)
+<% }); -%>
+<% if (!blockTickets.length) { -%>
+_None_
+<% } -%>
+
+<% } -%>
+<% blockNoTickets = commits.noTickets; -%>
+<% if (blockNoTickets.length > 0 || !options.hideEmptyBlocks) { -%>
+### Other Commits
+
+<% blockNoTickets.forEach(commit => { -%>
+* <%= commit.slackUser ? '@'+commit.slackUser.name : commit.authorName %> - \`<%= commit.revision.substr(0, 7) %>\` - <%= commit.summary %>
+<% }); -%>
+<% if (!blockNoTickets.length) { -%>
+_None_
+<% } -%>
+
+<% } -%>
+<% blockPendingByOwner = tickets.pendingByOwner; -%>
+<% if (blockPendingByOwner.length > 0 || !options.hideEmptyBlocks) { -%>
+### Pending Approval
+
+<% blockPendingByOwner.forEach(owner => { -%>
+* <%= (owner.slackUser) ? '@'+owner.slackUser.name : owner.email %>
+<% owner.tickets.forEach((ticket) => { -%>
+  * [<%= ticket.key %>](<%= jira.baseUrl + '/browse/' + ticket.key %>)
+<% }); -%>
+<% }); -%>
+<% if (!blockPendingByOwner.length) { -%>
+_None. Yay!_
+<% } -%>
+
+<% } -%>
+<% if (tickets.reverted.length) { -%>
+### Reverted
+
+<% tickets.reverted.forEach((ticket) => { -%>
+* **<%= ticket.fields.issuetype.name %>** - <%- ticket.fields.summary %> [<%= ticket.key %>](<%= jira.baseUrl + '/browse/' + ticket.key %>) (commit: \`<%= ticket.reverted %>\`)
+<% }); -%>
+<% } -%>
+`;